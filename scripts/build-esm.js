@@ -0,0 +1,49 @@
+/**
+ * Generate sentence-highlighter.mjs from sentence-highlighter.js
+ *
+ * The library body inside the IIFE becomes the module's top level and the
+ * CommonJS/global export block is replaced with real `export` statements,
+ * so browsers and module Workers can import it natively.
+ *
+ * Run with `npm run build`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const source = fs.readFileSync(path.join(root, 'sentence-highlighter.js'), 'utf8');
+
+const start = source.indexOf("(function(window) {\n  'use strict';\n");
+const end = source.indexOf('  // Export\n', start);
+if (start === -1 || end === -1) {
+  throw new Error('build-esm: IIFE or export block not found in sentence-highlighter.js');
+}
+
+const header = `/**
+ * Sentence Highlighter - ES module build
+ *
+ * Generated from sentence-highlighter.js by scripts/build-esm.js; edit the
+ * source and run \`npm run build\` instead of changing this file.
+ *
+ * @example
+ * import SentenceHighlighter, { segmentSentences } from '@akhildesai20/sentencehighlighter';
+ *
+ * @license MIT
+ * @author AKHIL DESAI <akhil.desai20@gmail.com>
+ */
+`;
+
+const body = source
+  .slice(source.indexOf('\n', source.indexOf("'use strict';", start)) + 1, end)
+  .replace(/^ {2}/gm, '')
+  .trim();
+
+const exportBlock = `
+SentenceHighlighter.SentenceHighlighter = SentenceHighlighter;
+
+export { SentenceHighlighter, segmentSentences };
+export default SentenceHighlighter;
+`;
+
+fs.writeFileSync(path.join(root, 'sentence-highlighter.mjs'), `${header}\n${body}\n${exportBlock}`);
@@ -34,56 +34,329 @@ export interface SentenceHighlighterOptions {
   /** Opacity for dimmed sentences (0-1). Default: 0.18 */
   focusModeDimOpacity?: number;
   
-  /** Auto-scroll to keep caret centered. Default: true */
+  /**
+   * How non-active sentences are dimmed. Default: 'flat'
+   * - 'flat': all at `focusModeDimOpacity`
+   * - 'gradient': fading with their distance from the active sentence, down to `focusModeDimOpacity`
+   */
+  dimming?: 'flat' | 'gradient';
+  
+  /** Opacity lost per sentence of distance with 'gradient' dimming. Default: 0.25 */
+  dimmingFalloff?: number;
+  
+  /** Minimum opacity for the other sentences of the active paragraph. Default: null (off) */
+  activeParagraphOpacity?: number | null;
+  
+  /** Auto-scroll to keep the caret in view, as set by `scrollMode`. Default: true */
   autoScroll?: boolean;
   
   /** Scroll behavior: 'smooth' or 'auto'. Default: 'smooth' */
   scrollBehavior?: 'smooth' | 'auto';
   
+  /**
+   * Where auto-scroll keeps the caret. Default: 'center'
+   * - 'center': the caret line in the middle of the visible area
+   * - 'fixed-line': the caret line at `scrollLinePosition`
+   * - 'keep-visible': only scroll when the caret comes within `scrollMargin` of an edge
+   * - 'sentence-top': the active sentence's first line `scrollMargin` below the top
+   */
+  scrollMode?: 'center' | 'fixed-line' | 'keep-visible' | 'sentence-top';
+  
+  /** Where 'fixed-line' keeps the caret line, as a fraction of the visible height (0 = top, 1 = bottom). Default: 0.5 */
+  scrollLinePosition?: number;
+  
+  /** Margin in px used by 'keep-visible' and 'sentence-top'. Default: 48 */
+  scrollMargin?: number;
+  
+  /** Element to scroll. Default: the nearest scrollable ancestor of the editor, or the page */
+  scrollContainer?: HTMLElement | null;
+  
+  /**
+   * How sentences are rendered. Default: 'spans'
+   * - 'spans': wrap each sentence in a `<span>` inside the editor
+   * - 'highlight-api': paint sentences with the CSS Custom Highlight API
+   *   (`::highlight()`), falling back to translucent rectangles positioned
+   *   over the editor. The editor's DOM is never modified.
+   * Ignored for `<textarea>`/`<input>`, which always use an overlay.
+   */
+  renderer?: 'spans' | 'highlight-api';
+  
+  /**
+   * Wrap sentences in place instead of flattening the editor into a single
+   * container, keeping inline markup, paragraphs and lists intact. Default: false
+   */
+  preserveFormatting?: boolean;
+  
+  /**
+   * Inject the default styles, scoped to this instance. Set to false on pages
+   * whose Content Security Policy blocks injected styles and provide the
+   * rules in your own stylesheet. With renderer 'highlight-api', sentences are
+   * then painted into the shared `sentence-highlighter-dim` and
+   * `sentence-highlighter-active` highlights for your `::highlight()` rules.
+   * Default: true
+   */
+  injectStyles?: boolean;
+  
+  /**
+   * What is highlighted. Default: 'sentence'
+   * - 'paragraph': block elements (`blockTags`)
+   * - 'line': visual lines, re-measured when the editor's width changes (lines of the value for textareas)
+   * - 'word': words, with the punctuation and spaces after them
+   * Headings are always highlighted as a whole.
+   */
+  unit?: 'sentence' | 'paragraph' | 'line' | 'word';
+  
   /** HTML tags treated as complete sentences. Default: ['h1', 'h2', 'h3'] */
   headingTags?: string[];
   
-  /** Characters that end sentences. Default: ['.', '!', '?'] */
+  /** HTML tags that end a sentence even without terminal punctuation. Default: ['p', 'li', 'blockquote', 'div'] */
+  blockTags?: string[];
+  
+  /** Characters that end sentences. Default: preset for `language`, else ['.', '!', '?'] */
   sentenceEndings?: string[];
   
+  /**
+   * BCP 47 language tag selecting the sentence endings preset, e.g. 'ja' or 'hi-IN'.
+   * Presets: en, zh, ja, ko, hi, mr, ne, sa, bn, ar, fa, ur, he, el, hy.
+   * Default: the editor's nearest `lang` attribute
+   */
+  language?: string;
+  
+  /**
+   * Abbreviations whose trailing period does not end a sentence, case-insensitive,
+   * e.g. ['dr', 'e.g']. Default: built-in English list (Mr., Dr., etc., i.e., ...)
+   */
+  abbreviations?: string[];
+  
+  /**
+   * Sentence segmentation strategy. Default: 'regex'
+   * - 'regex': split on `sentenceEndings` followed by whitespace, skipping
+   *   `abbreviations`, initials, ellipses, decimals, URLs and email addresses
+   * - 'intl': use `Intl.Segmenter` (falls back to 'regex' where unsupported)
+   * - function: custom segmenter, called once per block of text
+   */
+  segmenter?: 'regex' | 'intl' | SentenceSegmenter;
+  
+  /** Locale passed to `Intl.Segmenter` when `segmenter` is 'intl'. Default: `language`, then browser locale */
+  locale?: string | string[];
+  
   /** Debounce time in ms for input events. Default: 100 */
   updateDebounce?: number;
   
   /** Throttle time in ms for navigation events. Default: 50 */
   updateThrottle?: number;
   
-  /** Callback when sentences change. */
+  /** Pick up changes that don't fire `input` (programmatic edits, collaboration, autocomplete). Ignored for form controls. Default: true */
+  observeMutations?: boolean;
+  
+  /**
+   * Detect sentences in a Web Worker (started from an inline Blob) while typing,
+   * keeping the main thread free on long documents. Falls back to the main
+   * thread where workers are unavailable, with a custom segmenter, and for the
+   * 'line' unit in contenteditable editors. Default: false
+   */
+  worker?: boolean;
+  
+  /**
+   * Wrap only the sentences of blocks near the viewport, unwrapping them as
+   * they scroll away. Needs preserveFormatting and IntersectionObserver; the
+   * sentence model still covers the whole document. Default: false
+   */
+  virtualize?: boolean;
+  
+  /** Distance in pixels around the viewport within which blocks are wrapped, with virtualize. Default: 1000 */
+  virtualizeMargin?: number;
+  
+  /** Keep an undo/redo history that survives rebuilds (contenteditable with the 'spans' renderer). Default: true */
+  history?: boolean;
+  
+  /** Maximum number of undo steps kept. Default: 100 */
+  historyLimit?: number;
+  
+  /**
+   * Keyboard shortcuts for sentence navigation. `true` enables the defaults
+   * (Alt+ArrowDown, Alt+ArrowUp, Alt+Shift+S); an object overrides individual
+   * shortcuts, with `null` disabling one. Default: false
+   */
+  keymap?: boolean | SentenceKeymap;
+  
+  /**
+   * Dim sentences only while the editor has focus; unfocused editors show
+   * their text at full opacity. Default: false
+   */
+  highlightFocusedOnly?: boolean;
+  
+  /** Callback when sentences or their offsets change. Not called when nothing changed. */
   onSentenceChange?: (sentences: Sentence[]) => void;
   
-  /** Callback when active sentence changes. */
+  /** Callback when the active sentence changes. */
   onActiveSentenceChange?: (index: number, sentence: Sentence | null) => void;
+  
+  /** Callback when sentences are added, removed, modified or moved. Not called when nothing changed. */
+  onSentencesDiff?: (diff: SentencesDiff) => void;
+}
+
+/**
+ * Character range of a sentence, relative to the text passed to a segmenter
+ */
+export interface SentenceRange {
+  /** Start offset (inclusive) */
+  start: number;
+  
+  /** End offset (exclusive) */
+  end: number;
 }
 
+/**
+ * Custom sentence segmenter. Receives the text of one block and returns the
+ * sentence ranges within it. Overlapping, out-of-bounds and whitespace-only
+ * ranges are discarded.
+ */
+export type SentenceSegmenter = (text: string) => SentenceRange[];
+
 /**
  * Sentence object representing a detected sentence
  */
 export interface Sentence {
-  /** Unique identifier for the sentence */
+  /**
+   * Unique identifier for the sentence. Stable across edits elsewhere in the
+   * document; only changes when the sentence's own text changes substantially.
+   */
   id: string;
   
   /** The sentence text content */
   text: string;
   
-  /** Character offset start position */
+  /** Character offset start position (UTF-16 code units, logical order) */
   start: number;
   
-  /** Character offset end position */
+  /** Character offset end position (UTF-16 code units, logical order) */
   end: number;
   
   /** Whether this sentence is a heading */
   isHeading: boolean;
 }
 
+/**
+ * Sentence model returned by `toJSON()` and accepted by `loadJSON()`
+ */
+export interface SentenceHighlighterJSON {
+  /** Plain text of the editor */
+  text: string;
+  
+  /** Unit the sentences were detected with */
+  unit: 'sentence' | 'paragraph' | 'line' | 'word';
+  
+  /** Sentences in document order, with the index of the block (paragraph, heading or textarea line) they belong to */
+  sentences: Array<Sentence & { blockIndex: number }>;
+  
+  /** Index of the active sentence, or -1 */
+  activeIndex: number;
+  
+  /** Caret offset */
+  caret: number;
+}
+
+/**
+ * A block of text (paragraph, heading, list item) that sentences may not cross
+ */
+export interface TextBlock {
+  /** Text of the block */
+  text: string;
+  
+  /** Whether the block is a heading, detected as a single sentence (default: false) */
+  isHeading?: boolean;
+}
+
+/**
+ * Offsets of a block within the text passed to `segmentSentences()`
+ */
+export interface TextBlockRange extends SentenceRange {
+  /** Whether the block is a heading, detected as a single sentence (default: false) */
+  isHeading?: boolean;
+}
+
+/**
+ * Options for `segmentSentences()`
+ */
+export type SegmentationOptions = Pick<
+  SentenceHighlighterOptions,
+  'unit' | 'sentenceEndings' | 'language' | 'abbreviations' | 'segmenter' | 'locale'
+> & {
+  /**
+   * Offsets of the blocks when the text is passed as a string.
+   * By default every line is a block, as in a textarea.
+   */
+  blocks?: TextBlockRange[];
+};
+
+/**
+ * Sentence IDs that changed between two updates
+ */
+export interface SentencesDiff {
+  /** IDs of sentences that are new */
+  added: string[];
+  
+  /** IDs of sentences that no longer exist */
+  removed: string[];
+  
+  /** IDs of sentences whose text changed but that kept their ID */
+  modified: string[];
+  
+  /** IDs of sentences whose order relative to the other sentences changed */
+  moved: string[];
+}
+
+/**
+ * Payloads of the highlighter events, keyed by event name.
+ * Each event is also dispatched on the editor as a bubbling
+ * `CustomEvent` named `sentence-highlighter:<event>` with the payload as `detail`.
+ */
+export interface SentenceHighlighterEventMap {
+  /** Sentences were detected for the first time after construction */
+  ready: { sentences: Sentence[] };
+  
+  /** Sentences or their offsets changed */
+  sentencesChanged: { sentences: Sentence[]; diff: SentencesDiff };
+  
+  /** The active sentence changed */
+  activeChange: { previous: Sentence | null; sentence: Sentence | null; index: number };
+  
+  /** The sentence highlights were re-rendered */
+  rebuild: { sentences: Sentence[] };
+  
+  /** Focus mode was enabled or disabled */
+  focusModeChange: { enabled: boolean };
+  
+  /** The editor was scrolled to keep the caret in view */
+  scroll: { sentence: Sentence | null };
+  
+  /** destroy() was called */
+  destroy: {};
+}
+
+/**
+ * Shortcuts for the `keymap` option, written as modifiers and a key name
+ * joined by '+', e.g. 'Ctrl+Shift+ArrowDown'. `null` disables the shortcut.
+ */
+export interface SentenceKeymap {
+  /** Default: 'Alt+ArrowDown' */
+  nextSentence?: string | null;
+  
+  /** Default: 'Alt+ArrowUp' */
+  previousSentence?: string | null;
+  
+  /** Default: 'Alt+Shift+S' */
+  selectActiveSentence?: string | null;
+}
+
 /**
  * SentenceHighlighter - Main class for sentence-by-sentence highlighting
  * 
  * Automatically detects sentences in a contenteditable element and highlights
  * the sentence containing the caret, dimming all other sentences.
+ * `<textarea>` and text `<input>` elements are supported through an overlay
+ * rendered behind the element.
  * 
  * @example
  * ```typescript
@@ -100,11 +373,70 @@ export declare class SentenceHighlighter {
   /**
    * Create a new SentenceHighlighter instance
    * 
-   * @param editorElement - The contenteditable element to attach to
+   * @param editorElement - The contenteditable, `<textarea>` or text `<input>` element to attach to
    * @param options - Configuration options
-   * @throws {Error} If editorElement is not valid or not contenteditable
+   * @throws {Error} If editorElement is not valid, or not contenteditable, a textarea or a text input
+   * @throws {Error} If `segmenter` is not 'regex', 'intl' or a function
+   * @throws {Error} If `renderer` is not 'spans' or 'highlight-api'
+   * @throws {Error} If `dimming` is not 'flat' or 'gradient'
+   * @throws {Error} If `unit` is not 'sentence', 'paragraph', 'line' or 'word'
+   * @throws {Error} If `scrollMode` is not 'center', 'fixed-line', 'keep-visible' or 'sentence-top'
+   */
+  constructor(editorElement: HTMLElement | HTMLTextAreaElement | HTMLInputElement, options?: SentenceHighlighterOptions);
+
+  /**
+   * Attach a highlighter to every matching element that doesn't have one yet.
+   * All instances in a document share one `selectionchange` listener.
+   * 
+   * @param selector - CSS selector, or the elements themselves (e.g. from a shadow root)
+   * @param options - Options for the new instances
+   * @returns The instance of each element, in document order
+   * 
+   * @example
+   * ```typescript
+   * SentenceHighlighter.attachAll('.card [contenteditable]', { highlightFocusedOnly: true });
+   * ```
+   */
+  static attachAll(selector: string | Iterable<HTMLElement>, options?: SentenceHighlighterOptions): SentenceHighlighter[];
+
+  /**
+   * Get the highlighter attached to an element
+   * 
+   * @param element - Editor element
+   * @returns The instance, or null if the element has none
+   */
+  static getInstance(element: HTMLElement): SentenceHighlighter | null;
+
+  /**
+   * Destroy every live instance
    */
-  constructor(editorElement: HTMLElement, options?: SentenceHighlighterOptions);
+  static destroyAll(): void;
+
+  /**
+   * Detect sentences in plain text without an editor or a DOM.
+   * Runs in Node and in Web Workers, and gives the same offsets and IDs as a
+   * highlighter with the same options. With the `'line'` unit every block is
+   * one line.
+   * 
+   * @param text - Text (one block per line, unless `blocks` is given), or its blocks, joined with '\n'
+   * @param options - Detection options
+   * @returns Sentences in order, with the index of their block
+   * @throws {Error} If the segmenter or unit option is unknown
+   * 
+   * @example
+   * ```typescript
+   * import { segmentSentences } from '@akhildesai20/sentencehighlighter';
+   * 
+   * const sentences = segmentSentences([
+   *   { text: 'Introduction', isHeading: true },
+   *   { text: 'First sentence. Second sentence.' }
+   * ]);
+   * ```
+   */
+  static segmentSentences(
+    text: string | TextBlock[],
+    options?: SegmentationOptions
+  ): Array<Sentence & { blockIndex: number }>;
 
   /**
    * Enable or disable focus mode
@@ -131,6 +463,19 @@ export declare class SentenceHighlighter {
    */
   toggleFocusMode(): boolean;
 
+  /**
+   * Change what is highlighted at runtime
+   * 
+   * @param unit - 'sentence', 'paragraph', 'line' or 'word'
+   * @throws {Error} If the unit is unknown
+   * 
+   * @example
+   * ```typescript
+   * highlighter.setUnit('paragraph');
+   * ```
+   */
+  setUnit(unit: 'sentence' | 'paragraph' | 'line' | 'word'): void;
+
   /**
    * Get array of all detected sentences
    * 
@@ -176,6 +521,37 @@ export declare class SentenceHighlighter {
    */
   getActiveSentenceIndex(): number;
 
+  /**
+   * Serialize the text, the sentences and the active position.
+   * Called by `JSON.stringify(highlighter)`.
+   * 
+   * @example
+   * ```typescript
+   * localStorage.setItem('draft', JSON.stringify(highlighter));
+   * ```
+   */
+  toJSON(): SentenceHighlighterJSON;
+
+  /**
+   * Replace the content with a model saved by `toJSON()` and restore the
+   * active sentence. Contenteditable editors get one paragraph (or heading)
+   * per block. Recorded as one undo step and announced with an `input` event.
+   * 
+   * @param data - Object returned by `toJSON()`
+   * @throws {Error} If `data` has no text or sentences
+   */
+  loadJSON(data: SentenceHighlighterJSON): void;
+
+  /**
+   * Export the sentences as text or Markdown (one sentence per line, a blank
+   * line between paragraphs), HTML (each sentence in a span) or SSML (each
+   * sentence in an `<s>` element).
+   * 
+   * @param format - Output format
+   * @throws {Error} If the format is unknown
+   */
+  exportAs(format: 'text' | 'markdown' | 'html' | 'ssml'): string;
+
   /**
    * Manually trigger a sentence detection and highlighting update
    * Useful when content is modified programmatically
@@ -190,7 +566,198 @@ export declare class SentenceHighlighter {
   update(): void;
 
   /**
-   * Destroy the highlighter instance and clean up all event listeners and DOM modifications
+   * Undo the last edit, restoring the text and caret from before it.
+   * Ctrl/Cmd+Z and the browser's Undo command are routed here.
+   * 
+   * @returns true if an edit was undone
+   * 
+   * @example
+   * ```typescript
+   * undoButton.addEventListener('click', () => highlighter.undo());
+   * ```
+   */
+  undo(): boolean;
+
+  /**
+   * Redo the last undone edit
+   * 
+   * @returns true if an edit was redone
+   */
+  redo(): boolean;
+
+  /**
+   * Check whether there is an edit to undo.
+   * Always false for textareas, inputs and the 'highlight-api' renderer, which keep native undo.
+   */
+  canUndo(): boolean;
+
+  /**
+   * Check whether there is an undone edit to redo
+   */
+  canRedo(): boolean;
+
+  /**
+   * Move the caret to the start of a sentence and make it active
+   * 
+   * @param indexOrId - Zero-based sentence index or sentence ID
+   * @returns true if the sentence exists
+   */
+  goToSentence(indexOrId: number | string): boolean;
+
+  /**
+   * Move the caret to the start of the sentence after the active one
+   * 
+   * @returns false if the active sentence is the last one
+   */
+  nextSentence(): boolean;
+
+  /**
+   * Move the caret to the start of the sentence before the active one
+   * 
+   * @returns false if the active sentence is the first one
+   */
+  previousSentence(): boolean;
+
+  /**
+   * Select the text of a sentence (without trailing whitespace)
+   * 
+   * @param indexOrId - Zero-based sentence index or sentence ID
+   * @returns true if the sentence exists
+   */
+  selectSentence(indexOrId: number | string): boolean;
+
+  /**
+   * Select the text of the active sentence
+   * 
+   * @returns false if no sentence is active
+   */
+  selectActiveSentence(): boolean;
+
+  /**
+   * Replace the text of a sentence, keeping the whitespace after it.
+   * Like the other editing methods, this edits the content in place, re-detects
+   * sentences, records an undo step and dispatches an `input` event.
+   * 
+   * @returns true if the sentence exists
+   * 
+   * @example
+   * ```typescript
+   * highlighter.replaceSentence(sentence.id, 'A clearer way to say it.');
+   * ```
+   */
+  replaceSentence(id: string, text: string): boolean;
+
+  /**
+   * Insert a new sentence (including its terminator) after an existing one, in the same block
+   * 
+   * @returns true if the sentence exists
+   */
+  insertSentenceAfter(id: string, text: string): boolean;
+
+  /**
+   * Delete a sentence together with the whitespace that separates it
+   * 
+   * @returns true if the sentence existed
+   */
+  deleteSentence(id: string): boolean;
+
+  /**
+   * Move a sentence so that it ends up at the given index
+   * 
+   * @returns true if the sentence exists
+   */
+  moveSentence(id: string, toIndex: number): boolean;
+
+  /**
+   * Merge two adjacent sentences in the same block by removing the terminator between them
+   * 
+   * @returns true if both sentences exist
+   * @throws {Error} If the sentences are not adjacent or belong to different blocks
+   */
+  mergeSentences(idA: string, idB: string): boolean;
+
+  /**
+   * Split a sentence at an offset within its text, adding a terminator to the
+   * first part if it has none and capitalizing the second
+   * 
+   * @returns true if the sentence exists and the offset falls inside its text
+   */
+  splitSentence(id: string, offset: number): boolean;
+
+  /**
+   * Register a handler for a highlighter event
+   * 
+   * @throws {Error} If the event is unknown
+   * 
+   * @example
+   * ```typescript
+   * highlighter.on('activeChange', ({ previous, sentence }) => {
+   *   console.log(`Moved from "${previous?.text}" to "${sentence?.text}"`);
+   * });
+   * ```
+   */
+  on<K extends keyof SentenceHighlighterEventMap>(
+    event: K,
+    handler: (detail: SentenceHighlighterEventMap[K]) => void
+  ): this;
+
+  /**
+   * Remove a handler, or every handler of the event if none is given
+   */
+  off<K extends keyof SentenceHighlighterEventMap>(
+    event: K,
+    handler?: (detail: SentenceHighlighterEventMap[K]) => void
+  ): this;
+
+  /**
+   * Register a handler that is removed after its first call
+   */
+  once<K extends keyof SentenceHighlighterEventMap>(
+    event: K,
+    handler: (detail: SentenceHighlighterEventMap[K]) => void
+  ): this;
+
+  /**
+   * Change options without creating a new instance. Opacity, scrolling, timing
+   * and callback options apply immediately; detection options re-detect the
+   * sentences; class, attribute, renderer and listener options detach and
+   * reattach the highlighter, keeping the caret and the undo history.
+   * 
+   * @param options - Options to change; the rest keep their values
+   * @throws {Error} If `segmenter`, `renderer`, `dimming`, `unit` or `scrollMode` is unknown
+   * 
+   * @example
+   * ```typescript
+   * highlighter.setOptions({ focusModeDimOpacity: 0.3, sentenceEndings: ['.', '!', '?', ';'] });
+   * ```
+   */
+  setOptions(options: Partial<SentenceHighlighterOptions>): void;
+
+  /**
+   * Stop tracking edits and the caret, leaving the current highlighting in place
+   */
+  pause(): void;
+
+  /**
+   * Resume tracking after `pause()` and re-scan the editor
+   */
+  resume(): void;
+
+  /**
+   * Remove every listener, observer, style and sentence span, and restore the
+   * editor's markup. Options and `on()` handlers are kept for `reattach()`.
+   */
+  detach(): void;
+
+  /**
+   * Attach to the editor again after `detach()`. Emits `ready` once the
+   * sentences have been detected.
+   */
+  reattach(): void;
+
+  /**
+   * Destroy the highlighter instance and clean up all event listeners and DOM modifications.
+   * The editor's markup is restored, as by `detach()`.
    * 
    * @example
    * ```typescript
@@ -202,6 +769,12 @@ export declare class SentenceHighlighter {
   destroy(): void;
 }
 
+/**
+ * Detect sentences in plain text without an editor or a DOM.
+ * Same as `SentenceHighlighter.segmentSentences()`.
+ */
+export declare const segmentSentences: typeof SentenceHighlighter.segmentSentences;
+
 /**
  * Default export for ES6 modules
  */
@@ -1 +1 @@
-(function(window) { 'use strict'; class SentenceHighlighter { constructor(editorElement, options = {}) { if (!editorElement || !editorElement.nodeType) { throw new Error('SentenceHighlighter: Valid editor element is required'); } if (!editorElement.isContentEditable) { throw new Error('SentenceHighlighter: Element must be contenteditable'); } this.editor = editorElement; this.options = { sentenceDataAttribute: options.sentenceDataAttribute || 'data-sentence-id', activeSentenceDataAttribute: options.activeSentenceDataAttribute || 'data-sentence-active', containerClass: options.containerClass || 'paragraph', sentenceClass: options.sentenceClass || 'sentence', activeSentenceClass: options.activeSentenceClass || 'sentence--active', enableFocusMode: options.enableFocusMode !== false, focusModeDimOpacity: options.focusModeDimOpacity || 0.18, autoScroll: options.autoScroll !== false, scrollBehavior: options.scrollBehavior || 'smooth', headingTags: options.headingTags || ['h1', 'h2', 'h3'], sentenceEndings: options.sentenceEndings || ['.', '!', '?'], updateDebounce: options.updateDebounce || 100, updateThrottle: options.updateThrottle || 50, onSentenceChange: options.onSentenceChange || null, onActiveSentenceChange: options.onActiveSentenceChange || null, ...options }; this.sentenceMap = new Map(); this.sentenceElements = new Map(); this.activeSentenceId = null; this.isInitialized = false; this.updateTimer = null; this.lastContentHash = null; this.focusModeEnabled = this.options.enableFocusMode; this.lastRebuildTime = 0; this.isRebuilding = false; this.handleInput = this.handleInput.bind(this); this.handleNavigation = this.handleNavigation.bind(this); this.handleCaretMove = this.handleCaretMove.bind(this); this.init(); } init() { if (this.isInitialized) return; this.injectCSS(); this.editor.classList.add(this.options.containerClass); if (!this.focusModeEnabled) { this.editor.classList.add('sentence-highlighter-focus-off'); } this.attachEvents(); setTimeout(() => { this.scanAndHighlight(); }, 10); this.isInitialized = true; } injectCSS() { const styleId = 'sentence-highlighter-styles'; if (document.getElementById(styleId)) return; const style = document.createElement('style'); style.id = styleId; style.textContent = ` .${this.options.containerClass} .${this.options.sentenceClass} { opacity: ${this.options.focusModeDimOpacity}; transition: opacity 0.18s ease, color 0.18s ease; } .${this.options.containerClass} .${this.options.sentenceClass}.${this.options.activeSentenceClass}, .${this.options.containerClass} .${this.options.sentenceClass}[${this.options.activeSentenceDataAttribute}] { opacity: 1 !important; } .sentence-highlighter-focus-off .${this.options.containerClass} .${this.options.sentenceClass} { opacity: 1; } `; document.head.appendChild(style); } attachEvents() { this.editor.addEventListener('input', this.handleInput); this.editor.addEventListener('keydown', (e) => { if (this.options.sentenceEndings.includes(e.key)) { clearTimeout(this.updateTimer); requestAnimationFrame(() => { requestAnimationFrame(() => { this.scanAndHighlight(); }); }); } }); this.editor.addEventListener('click', this.handleNavigation); this.editor.addEventListener('keyup', (e) => { const navigationKeys = [ 'ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End', 'PageUp', 'PageDown' ]; if (navigationKeys.includes(e.key)) { this.handleNavigation(); } }); document.addEventListener('selectionchange', this.handleCaretMove); this.editor.addEventListener('focus', () => this.handleNavigation()); } handleInput() { const text = this.getPlainText(); const caretOffset = this.getCaretOffset(); let shouldUpdateImmediately = false; if (caretOffset > 0) { const charAtCaret = text[caretOffset - 1]; if (this.options.sentenceEndings.includes(charAtCaret)) { shouldUpdateImmediately = true; } } if (!shouldUpdateImmediately && caretOffset > 1) { const charBefore = text[caretOffset - 2]; if (this.options.sentenceEndings.includes(charBefore)) { shouldUpdateImmediately = true; } } if (!shouldUpdateImmediately && this.sentenceMap.size > 0) { const currentSentences = this.buildSentenceMap(); if (currentSentences.length !== this.sentenceMap.size) { shouldUpdateImmediately = true; } } clearTimeout(this.updateTimer); if (shouldUpdateImmediately) { requestAnimationFrame(() => { this.scanAndHighlight(); }); } else { this.updateTimer = setTimeout(() => { this.scanAndHighlight(); }, this.options.updateDebounce); } } handleNavigation() { clearTimeout(this.updateTimer); this.updateTimer = setTimeout(() => { this.updateActiveSentence(); }, this.options.updateThrottle); } handleCaretMove() { if (!this.editor.contains(window.getSelection()?.anchorNode)) { return; } clearTimeout(this.updateTimer); this.updateTimer = setTimeout(() => { this.updateActiveSentence(); }, this.options.updateThrottle); } generateSentenceId(start, end, text, isHeading) { const hash = this.simpleHash(`${start}-${end}-${text.substring(0, 20)}-${isHeading}`); return `sentence-${hash}`; } simpleHash(str) { let hash = 0; for (let i = 0; i < str.length; i++) { const char = str.charCodeAt(i); hash = ((hash << 5) - hash) + char; hash = hash & hash; } return Math.abs(hash).toString(36); } getCaretOffset() { const selection = window.getSelection(); if (!selection || selection.rangeCount === 0) return 0; const range = selection.getRangeAt(0); const preRange = range.cloneRange(); preRange.selectNodeContents(this.editor); preRange.setEnd(range.endContainer, range.endOffset); return preRange.toString().length; } setCaretOffset(targetOffset) { const selection = window.getSelection(); const range = document.createRange(); let currentOffset = 0; let found = false; const traverse = (node) => { if (found) return; if (node.nodeType === Node.TEXT_NODE) { const text = node.textContent || ""; const nextOffset = currentOffset + text.length; if (targetOffset <= nextOffset) { const localOffset = targetOffset - currentOffset; range.setStart(node, Math.max(0, localOffset)); range.collapse(true); found = true; return; } currentOffset = nextOffset; } else if (node.nodeType === Node.ELEMENT_NODE) { for (let i = 0; i < node.childNodes.length; i++) { traverse(node.childNodes[i]); if (found) return; } } }; traverse(this.editor); if (!found) { range.selectNodeContents(this.editor); range.collapse(false); } selection.removeAllRanges(); selection.addRange(range); } buildSentenceMap() { const text = this.getPlainText(); if (!text.trim()) { return []; } const sentences = []; const pattern = `[^${this.options.sentenceEndings.map(e => '\\' + e).join('')}]+[${this.options.sentenceEndings.map(e => '\\' + e).join('')}]?\\s*`; const regex = new RegExp(pattern, 'g'); let match; let lastIndex = 0; while ((match = regex.exec(text)) !== null) { const chunk = match[0]; const start = match.index; const end = start + chunk.length; const id = this.generateSentenceId(start, end, chunk, false); sentences.push({ id: id, text: chunk, start: start, end: end, isHeading: false }); lastIndex = regex.lastIndex; } if (lastIndex < text.length) { const remaining = text.substring(lastIndex); if (remaining.trim().length > 0) { const id = this.generateSentenceId(lastIndex, text.length, remaining, false); sentences.push({ id: id, text: remaining, start: lastIndex, end: text.length, isHeading: false }); } } if (sentences.length === 0 && text.trim().length > 0) { const id = this.generateSentenceId(0, text.length, text, false); sentences.push({ id: id, text: text, start: 0, end: text.length, isHeading: false }); } return sentences; } getPlainText() { return this.editor.textContent || this.editor.innerText || ''; } getContentHash() { return this.getPlainText().length + '-' + this.editor.innerHTML.length; } findActiveSentenceId(caretOffset) { const sentences = Array.from(this.sentenceMap.values()); const activeIndex = this.findActiveSentenceIndex(sentences, caretOffset); if (activeIndex >= 0 && activeIndex < sentences.length) { return sentences[activeIndex].id; } return null; } scanAndHighlight() { const text = this.getPlainText(); const isEmpty = !text.trim(); if (isEmpty) { this.clearAllHighlights(); this.sentenceMap.clear(); this.sentenceElements.clear(); this.activeSentenceId = null; this.lastContentHash = ''; return; } const contentHash = this.getContentHash(); const caretOffset = this.getCaretOffset(); const newSentences = this.buildSentenceMap(); if (newSentences.length === 0) { return; } const activeIndex = this.findActiveSentenceIndex(newSentences, caretOffset); const needsRebuild = contentHash !== this.lastContentHash || !this.sentenceElements || this.sentenceElements.size === 0 || !this.hasValidHighlights(); const timeSinceLastRebuild = Date.now() - this.lastRebuildTime; const shouldRebuild = needsRebuild && (timeSinceLastRebuild > 50 || !this.isRebuilding); if (shouldRebuild && !this.isRebuilding) { this.isRebuilding = true; this.rebuildHighlights(newSentences, activeIndex, caretOffset); this.lastContentHash = contentHash; this.lastRebuildTime = Date.now(); this.isRebuilding = false; } else if (!needsRebuild) { this.updateActiveSentenceFromMap(newSentences, activeIndex); } else { this.updateActiveSentenceFromMap(newSentences, activeIndex); } this.sentenceMap.clear(); newSentences.forEach(s => { this.sentenceMap.set(s.id, s); }); if (this.options.onSentenceChange) { this.options.onSentenceChange(Array.from(this.sentenceMap.values())); } if (this.options.autoScroll) { this.scrollCaretToCenter(); } } findActiveSentenceIndex(sentences, caretOffset) { for (let i = 0; i < sentences.length; i++) { const s = sentences[i]; if (caretOffset >= s.start && caretOffset < s.end) { return i; } if (caretOffset === s.end && i < sentences.length - 1) { return i + 1; } } if (sentences.length > 0) { const lastSentence = sentences[sentences.length - 1]; if (caretOffset >= lastSentence.start) { return sentences.length - 1; } } return -1; } hasValidHighlights() { if (!this.sentenceElements) { return false; } return this.sentenceElements.size > 0 && this.editor.querySelectorAll(`[${this.options.sentenceDataAttribute}]`).length > 0; } clearAllHighlights() { if (!this.sentenceElements) { this.sentenceElements = new Map(); } const spans = this.editor.querySelectorAll(`[${this.options.sentenceDataAttribute}]`); spans.forEach(span => { const parent = span.parentNode; if (parent && parent !== this.editor) { while (span.firstChild) { parent.insertBefore(span.firstChild, span); } parent.removeChild(span); } }); const container = this.editor.querySelector(`.${this.options.containerClass}`); if (container) { const hasElements = Array.from(container.childNodes).some(node => node.nodeType === Node.ELEMENT_NODE ); if (!hasElements) { while (container.firstChild) { this.editor.insertBefore(container.firstChild, container); } this.editor.removeChild(container); } } this.sentenceElements.clear(); } rebuildHighlights(sentences, activeIndex, caretOffset) { if (sentences.length === 0) { this.clearAllHighlights(); return; } if (!this.sentenceElements) { this.sentenceElements = new Map(); } this.sentenceElements.clear(); const container = document.createElement('div'); container.className = this.options.containerClass; sentences.forEach((sentence, i) => { const span = document.createElement('span'); span.setAttribute(this.options.sentenceDataAttribute, sentence.id); span.className = this.options.sentenceClass; if (i === activeIndex && activeIndex >= 0) { span.classList.add(this.options.activeSentenceClass); span.setAttribute(this.options.activeSentenceDataAttribute, 'true'); this.activeSentenceId = sentence.id; } if (sentence.isHeading) { span.classList.add('sentence-highlighter-heading'); } span.textContent = sentence.text; container.appendChild(span); this.sentenceElements.set(sentence.id, span); }); const savedCaretOffset = this.getCaretOffset(); const wasFocused = document.activeElement === this.editor || this.editor.contains(document.activeElement); this.editor.innerHTML = ''; this.editor.appendChild(container); if (wasFocused) { this.editor.focus(); } try { this.setCaretOffset(savedCaretOffset); } catch (e) { setTimeout(() => { if (wasFocused) { this.editor.focus(); } this.setCaretOffset(savedCaretOffset); }, 0); } Promise.resolve().then(() => { const currentOffset = this.getCaretOffset(); if (Math.abs(currentOffset - savedCaretOffset) > 1 && wasFocused) { this.setCaretOffset(savedCaretOffset); } }); } updateActiveSentenceFromMap(sentences, activeIndex) { if (!this.sentenceElements || activeIndex < 0 || activeIndex >= sentences.length) return; const newActiveId = sentences[activeIndex].id; if (this.activeSentenceId) { const oldElement = this.sentenceElements.get(this.activeSentenceId); if (oldElement) { oldElement.classList.remove(this.options.activeSentenceClass); oldElement.removeAttribute(this.options.activeSentenceDataAttribute); } } this.activeSentenceId = newActiveId; const newElement = this.sentenceElements.get(newActiveId); if (newElement) { newElement.classList.add(this.options.activeSentenceClass); newElement.setAttribute(this.options.activeSentenceDataAttribute, 'true'); } if (this.options.onActiveSentenceChange) { const sentence = this.sentenceMap.get(newActiveId); this.options.onActiveSentenceChange(activeIndex, sentence || null); } } updateActiveSentence() { if (!this.sentenceElements || this.sentenceMap.size === 0) return; const caretOffset = this.getCaretOffset(); const sentences = Array.from(this.sentenceMap.values()); const activeIndex = this.findActiveSentenceIndex(sentences, caretOffset); if (activeIndex < 0) return; const newActiveId = sentences[activeIndex].id; if (newActiveId === this.activeSentenceId) { return; } if (this.activeSentenceId) { const oldElement = this.sentenceElements.get(this.activeSentenceId); if (oldElement) { oldElement.classList.remove(this.options.activeSentenceClass); oldElement.removeAttribute(this.options.activeSentenceDataAttribute); } } this.activeSentenceId = newActiveId; const newElement = this.sentenceElements.get(newActiveId); if (newElement) { newElement.classList.add(this.options.activeSentenceClass); newElement.setAttribute(this.options.activeSentenceDataAttribute, 'true'); } if (this.options.onActiveSentenceChange) { const sentence = this.sentenceMap.get(newActiveId); this.options.onActiveSentenceChange(activeIndex, sentence || null); } if (this.options.autoScroll) { this.scrollCaretToCenter(); } } scrollCaretToCenter() { const selection = window.getSelection(); if (!selection || selection.rangeCount === 0) return; const range = selection.getRangeAt(0); if (!this.editor.contains(range.startContainer)) return; const caretRange = range.cloneRange(); caretRange.collapse(true); const marker = document.createElement('span'); marker.style.display = 'inline-block'; marker.style.width = '0'; marker.style.height = '1em'; marker.style.visibility = 'hidden'; marker.setAttribute('data-sentence-highlighter-marker', 'true'); try { caretRange.insertNode(marker); marker.scrollIntoView({ block: 'center', inline: 'nearest', behavior: this.options.scrollBehavior }); const newRange = document.createRange(); newRange.setStart(marker, 0); newRange.collapse(true); const sel = window.getSelection(); sel.removeAllRanges(); sel.addRange(newRange); const parent = marker.parentNode; if (parent && marker.parentNode) { parent.removeChild(marker); } } catch (e) { } } setFocusMode(enabled) { this.focusModeEnabled = enabled; if (enabled) { this.editor.classList.remove('sentence-highlighter-focus-off'); } else { this.editor.classList.add('sentence-highlighter-focus-off'); } } toggleFocusMode() { this.setFocusMode(!this.focusModeEnabled); } getSentences() { return Array.from(this.sentenceMap.values()).map(s => ({ id: s.id, text: s.text, start: s.start, end: s.end, isHeading: s.isHeading })); } getActiveSentence() { if (!this.activeSentenceId) return null; const sentence = this.sentenceMap.get(this.activeSentenceId); return sentence ? { id: sentence.id, text: sentence.text, start: sentence.start, end: sentence.end, isHeading: sentence.isHeading } : null; } getActiveSentenceIndex() { if (!this.activeSentenceId) return -1; const ids = Array.from(this.sentenceMap.keys()); return ids.indexOf(this.activeSentenceId); } update() { this.scanAndHighlight(); } destroy() { clearTimeout(this.updateTimer); this.editor.removeEventListener('input', this.handleInput); this.editor.removeEventListener('click', this.handleNavigation); document.removeEventListener('selectionchange', this.handleCaretMove); for (const id of this.sentenceMap.keys()) { this.removeSentenceHighlight(id); } this.sentenceMap.clear(); this.sentenceElements.clear(); this.activeSentenceId = null; this.editor.classList.remove( this.options.containerClass, 'sentence-highlighter-focus-off' ); this.isInitialized = false; } } if (typeof module !== 'undefined' && module.exports) { module.exports = SentenceHighlighter; } else { window.SentenceHighlighter = SentenceHighlighter; } })(window || global);
\ No newline at end of file
+(function(window) { 'use strict'; const DEFAULT_ABBREVIATIONS = [ 'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'rev', 'gen', 'lt', 'sgt', 'capt', 'e.g', 'i.e', 'etc', 'vs', 'cf', 'approx', 'viz', 'inc', 'ltd', 'corp', 'dept', 'fig', 'vol', 'pp', 'jan', 'feb', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec', 'a.m', 'p.m' ]; const NUMBER_ABBREVIATIONS = ['no', 'nos', 'ch', 'mar', 'ca']; const SENTENCE_STARTERS = [ 'a', 'an', 'and', 'as', 'at', 'but', 'by', 'for', 'from', 'he', 'her', 'here', 'his', 'how', 'i', 'if', 'in', 'it', 'its', 'let', 'my', 'no', 'not', 'now', 'of', 'on', 'or', 'our', 'she', 'so', 'that', 'the', 'their', 'then', 'there', 'these', 'they', 'this', 'those', 'to', 'we', 'what', 'when', 'where', 'which', 'while', 'who', 'why', 'with', 'yes', 'yet', 'you', 'your' ]; const CLOSING_PUNCTUATION = '"\'\u201D\u2019\u00BB)]}\u300D\u300F\uFF09\u3011\u3009\u300B'; const OPENING_PUNCTUATION = '"\'\u201C\u2018\u00AB([{\u300C\u300E\uFF08\u3010\u3008\u300A'; const FULLWIDTH_TERMINATORS = '\u3002\uFF01\uFF1F\uFF0E\uFF61'; const RTL_PATTERN = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/; const SIMILARITY_THRESHOLD = 0.5; const HISTORY_MERGE_DELAY = 1000; const DEFAULT_KEYMAP = { nextSentence: 'Alt+ArrowDown', previousSentence: 'Alt+ArrowUp', selectActiveSentence: 'Alt+Shift+S' }; const UNITS = ['sentence', 'paragraph', 'line', 'word']; const SCROLL_MODES = ['center', 'fixed-line', 'keep-visible', 'sentence-top']; const EVENTS = ['ready', 'sentencesChanged', 'activeChange', 'rebuild', 'focusModeChange', 'scroll', 'destroy']; const EXPORT_FORMATS = ['text', 'markdown', 'html', 'ssml']; let instanceCounter = 0; const REBUILD_OPTIONS = [ 'sentenceClass', 'activeSentenceClass', 'containerClass', 'sentenceDataAttribute', 'activeSentenceDataAttribute', 'renderer', 'preserveFormatting', 'injectStyles', 'dimming', 'activeParagraphOpacity', 'headingTags', 'blockTags', 'observeMutations', 'history', 'keymap', 'highlightFocusedOnly', 'virtualize', 'virtualizeMargin' ]; const DETECTION_OPTIONS = ['unit', 'sentenceEndings', 'language', 'abbreviations', 'segmenter', 'locale']; const instances = new Map(); const selectionDocuments = new Map(); const TEXT_INPUT_TYPES = ['text', 'search', 'url', 'tel']; const OVERLAY_STYLE_PROPERTIES = [ 'boxSizing', 'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'fontVariant', 'fontStretch', 'lineHeight', 'letterSpacing', 'wordSpacing', 'textAlign', 'textIndent', 'textTransform', 'direction', 'tabSize', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft', 'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth', 'borderTopStyle', 'borderRightStyle', 'borderBottomStyle', 'borderLeftStyle', 'borderRadius', 'backgroundColor', 'color' ]; const LANGUAGE_ENDINGS = { en: ['.', '!', '?'], zh: ['\u3002', '\uFF01', '\uFF1F', '.', '!', '?'], ja: ['\u3002', '\uFF01', '\uFF1F', '\uFF61', '.', '!', '?'], ko: ['.', '!', '?', '\u3002'], hi: ['\u0964', '\u0965', '.', '!', '?'], mr: ['\u0964', '\u0965', '.', '!', '?'], ne: ['\u0964', '\u0965', '.', '!', '?'], sa: ['\u0964', '\u0965'], bn: ['\u0964', '!', '?'], ar: ['.', '!', '\u061F'], fa: ['.', '!', '\u061F'], ur: ['\u06D4', '.', '!', '\u061F'], he: ['.', '!', '?'], el: ['.', '!', ';', '\u037E'], hy: ['\u0589', '!', '?'] }; function createSentenceDetection({ CLOSING_PUNCTUATION, OPENING_PUNCTUATION, FULLWIDTH_TERMINATORS, NUMBER_ABBREVIATIONS, SENTENCE_STARTERS }) { const intlSegmenters = new Map(); function detectSentences(text, blocks, options, splitLines) { if (!text.trim()) { return []; } const sentences = []; const usedIds = new Set(); const addSentence = (start, end, isHeading, blockIndex) => { const chunk = text.substring(start, end); sentences.push({ id: generateSentenceId(chunk, isHeading, usedIds), text: chunk, start: start, end: end, isHeading: isHeading, blockIndex: blockIndex }); }; const unit = options.unit; blocks.forEach((block, blockIndex) => { const blockText = text.substring(block.start, block.end); if (!blockText.trim()) return; let ranges; if (block.isHeading || unit === 'paragraph' || (unit === 'line' && !splitLines)) { const leading = blockText.length - blockText.trimStart().length; ranges = [{ start: leading, end: blockText.length }]; } else if (unit === 'word') { ranges = splitWords(blockText, options.locale); } else if (unit === 'line') { ranges = splitLines(blockText, block); } else { ranges = splitSentences(blockText, options); } ranges.forEach(range => { addSentence(block.start + range.start, block.start + range.end, block.isHeading, blockIndex); }); }); if (sentences.length === 0 && text.trim().length > 0) { addSentence(0, text.length, false, 0); } return sentences; } function generateSentenceId(text, isHeading, usedIds) { const base = `sentence-${simpleHash(`${text.trim()}-${isHeading}`)}`; let id = base; for (let n = 2; usedIds.has(id); n++) { id = `${base}-${n}`; } usedIds.add(id); return id; } function simpleHash(str) { let hash = 0; for (let i = 0; i < str.length; i++) { const char = str.charCodeAt(i); hash = ((hash << 5) - hash) + char; hash = hash & hash; } return Math.abs(hash).toString(36); } function snapToCodePoint(text, offset) { const previous = text.charCodeAt(offset - 1); const current = text.charCodeAt(offset); if (previous >= 0xD800 && previous <= 0xDBFF && current >= 0xDC00 && current <= 0xDFFF) { return offset + 1; } return offset; } function splitSentences(text, options) { const segmenter = options.segmenter; if (typeof segmenter === 'function') { const ranges = segmenter(text); if (!Array.isArray(ranges)) { throw new Error('SentenceHighlighter: Custom segmenter must return an array of {start, end} ranges'); } return normalizeRanges(ranges, text); } if (segmenter === 'intl' && typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') { return splitSentencesIntl(text, options.locale); } return splitSentencesRegex(text, options); } function splitWords(text, locale) { const ranges = []; if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') { const segmenter = new Intl.Segmenter(locale, { granularity: 'word' }); let current = null; for (const { segment, index, isWordLike } of segmenter.segment(text)) { if (isWordLike && current && current.hasWord) { ranges.push({ start: current.start, end: current.end }); current = null; } if (!current) { current = { start: index, end: index, hasWord: false }; } current.end = index + segment.length; current.hasWord = current.hasWord || isWordLike; } if (current) { ranges.push({ start: current.start, end: current.end }); } return ranges; } const pattern = /\S+\s*/g; let match; while ((match = pattern.exec(text))) { ranges.push({ start: match.index, end: match.index + match[0].length }); } return ranges; } function splitSentencesIntl(text, locale) { const key = locale || ''; if (!intlSegmenters.has(key)) { intlSegmenters.set(key, new Intl.Segmenter(locale, { granularity: 'sentence' })); } const ranges = []; for (const { segment, index } of intlSegmenters.get(key).segment(text)) { ranges.push({ start: index, end: index + segment.length }); } return normalizeRanges(ranges, text); } function normalizeRanges(ranges, text) { const result = []; let lastEnd = 0; ranges .filter(range => range && typeof range.start === 'number' && typeof range.end === 'number') .sort((a, b) => a.start - b.start) .forEach(range => { const start = snapToCodePoint(text, Math.max(range.start, lastEnd, 0)); const end = snapToCodePoint(text, Math.min(range.end, text.length)); if (end <= start || !text.substring(start, end).trim()) return; result.push({ start: start, end: end }); lastEnd = end; }); return result; } function splitSentencesRegex(text, options) { const endings = options.sentenceEndings; const abbreviations = new Set( options.abbreviations.map(abbreviation => abbreviation.toLowerCase().replace(/\.$/, '')) ); const ranges = []; let start = 0; let i = 0; const charAt = index => String.fromCodePoint(text.codePointAt(index)); while (i < text.length) { if (!endings.includes(charAt(i))) { i += charAt(i).length; continue; } const terminatorStart = i; let lastEnding = ''; while (i < text.length && endings.includes(charAt(i))) { lastEnding = charAt(i); i += lastEnding.length; } const terminator = text.substring(terminatorStart, i); while (i < text.length && CLOSING_PUNCTUATION.includes(text[i])) i++; if (i < text.length && !/\s/.test(text[i]) && !FULLWIDTH_TERMINATORS.includes(lastEnding)) continue; if (isFalseSentenceEnd(text, terminatorStart, terminator, abbreviations)) continue; while (i < text.length && /\s/.test(text[i])) i++; ranges.push({ start: start, end: i }); start = i; } if (start < text.length && text.substring(start).trim().length > 0) { ranges.push({ start: start, end: text.length }); } return ranges; } function isFalseSentenceEnd(text, index, terminator, abbreviations) { if (/^\.{3,}$/.test(terminator) || terminator.includes('…')) { return true; } if (terminator !== '.') { return false; } let tokenStart = index; while (tokenStart > 0 && !/\s/.test(text[tokenStart - 1]) && !OPENING_PUNCTUATION.includes(text[tokenStart - 1])) { tokenStart--; } const token = text.substring(tokenStart, index); if (abbreviations.has(token.toLowerCase())) { return true; } if (NUMBER_ABBREVIATIONS.includes(token.toLowerCase()) && /^\s+\d/.test(text.substring(index + 1))) { return true; } if (/^(?:\p{Lu}\.)+\p{Lu}$/u.test(token)) { return true; } if (/^\p{Lu}$/u.test(token) && token !== 'I') { const next = text.substring(index + 1).match(/^\s+(\p{Lu}(?:\.|\p{Ll}*))/u); if (next && !SENTENCE_STARTERS.includes(next[1].toLowerCase())) { return true; } } if (/^\d+$/.test(token) && !text.substring(0, tokenStart).trim()) { return true; } return false; } return { detectSentences, generateSentenceId, simpleHash, snapToCodePoint, splitWords }; } const DETECTION_CONSTANTS = { CLOSING_PUNCTUATION, OPENING_PUNCTUATION, FULLWIDTH_TERMINATORS, NUMBER_ABBREVIATIONS, SENTENCE_STARTERS }; const { detectSentences, generateSentenceId, simpleHash, snapToCodePoint, splitWords } = createSentenceDetection(DETECTION_CONSTANTS); function normalizeDetectionOptions(options) { const language = options.language || ''; const languageEndings = LANGUAGE_ENDINGS[language.toLowerCase().split('-')[0]]; return { unit: options.unit || 'sentence', sentenceEndings: options.sentenceEndings || languageEndings || ['.', '!', '?'], language: language, abbreviations: options.abbreviations || DEFAULT_ABBREVIATIONS, segmenter: options.segmenter || 'regex', locale: options.locale || language || undefined }; } function validateDetectionOptions(options) { if (typeof options.segmenter !== 'function' && !['regex', 'intl'].includes(options.segmenter)) { throw new Error(`SentenceHighlighter: Unknown segmenter "${options.segmenter}"`); } if (!UNITS.includes(options.unit)) { throw new Error(`SentenceHighlighter: Unknown unit "${options.unit}"`); } } function segmentSentences(text, options = {}) { let blocks = options.blocks; if (Array.isArray(text)) { blocks = []; let offset = 0; text.forEach(block => { const blockText = String(block.text); blocks.push({ start: offset, end: offset + blockText.length, isHeading: !!block.isHeading }); offset += blockText.length + 1; }); text = text.map(block => block.text).join('\n'); } else if (!blocks) { blocks = []; let offset = 0; String(text).split('\n').forEach(line => { blocks.push({ start: offset, end: offset + line.length, isHeading: false }); offset += line.length + 1; }); } const detectionOptions = normalizeDetectionOptions(options); validateDetectionOptions(detectionOptions); return detectSentences(String(text), blocks.map(block => ({ ...block, isHeading: !!block.isHeading })), detectionOptions); } let workerSource = null; function getWorkerSource() { if (workerSource === null) { const detection = `(${createSentenceDetection.toString()})(${JSON.stringify(DETECTION_CONSTANTS)})`; workerSource = `(${runSegmentationWorker.toString()})(${detection}.detectSentences);`; } return workerSource; } function runSegmentationWorker(detectSentences) { let pending = null; let isScheduled = false; const run = () => { isScheduled = false; const request = pending; pending = null; if (!request) return; try { self.postMessage({ id: request.id, sentences: detectSentences(request.text, request.blocks, request.options) }); } catch (error) { self.postMessage({ id: request.id, error: error.message }); } }; self.onmessage = event => { const message = event.data; if (message.cancel !== undefined) { if (pending && pending.id === message.cancel) pending = null; return; } pending = message; if (!isScheduled) { isScheduled = true; setTimeout(run, 0); } }; } class SentenceHighlighter { constructor(editorElement, options = {}) { if (!editorElement || !editorElement.nodeType) { throw new Error('SentenceHighlighter: Valid editor element is required'); } const isFormControl = editorElement.tagName === 'TEXTAREA' || (editorElement.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes(editorElement.type)); if (!editorElement.isContentEditable && !isFormControl) { throw new Error('SentenceHighlighter: Element must be contenteditable, a textarea or a text input'); } this.editor = editorElement; this.isFormControl = isFormControl; this.document = editorElement.ownerDocument || document; this.window = this.document.defaultView || window; this.userOptions = { ...options }; this.options = this.normalizeOptions(this.userOptions); this.validateOptions(this.options); this.sentenceMap = new Map(); this.sentenceElements = new Map(); this.activeSentenceId = null; this.isInitialized = false; this.updateTimer = null; this.lastContentHash = null; this.focusModeEnabled = this.options.enableFocusMode; this.lastRebuildTime = 0; this.isRebuilding = false; this.isIdle = false; this.isPaused = false; this.readyTimer = null; this.originalHTML = null; this.originalText = null; this.hasEdits = false; this.addedContainerClass = false; this.mutationObserver = null; this.mutationFrame = null; this.isHandlingInput = false; this.isApplyingEdit = false; this.listeners = new Map(); this.undoStack = []; this.redoStack = []; this.lastHistoryInput = null; this.instanceId = ++instanceCounter; this.styleSheet = null; this.styleTarget = null; this.styleElement = null; this.sentenceRanges = new Map(); this.highlightRules = ''; this.highlightTextColor = null; this.highlightLevels = new Set(); this.paintedHighlights = new Set(); this.sharedRanges = new Map(); this.rectLayer = null; this.worker = null; this.workerURL = null; this.workerFailed = false; this.segmentationId = 0; this.pendingSegmentation = null; this.blockObserver = null; this.observedBlocks = new Set(); this.visibleBlocks = new Set(); this.lineResizeObserver = null; this.lineWidth = 0; this.overlay = null; this.overlayResizeObserver = null; this.savedEditorStyle = null; instances.set(this.editor, this); this.handleInput = this.handleInput.bind(this); this.handleMutations = this.handleMutations.bind(this); this.handleBeforeInput = this.handleBeforeInput.bind(this); this.handleHistoryKeydown = this.handleHistoryKeydown.bind(this); this.handleKeymap = this.handleKeymap.bind(this); this.handleNavigation = this.handleNavigation.bind(this); this.handleCaretMove = this.handleCaretMove.bind(this); this.handleFocusChange = this.handleFocusChange.bind(this); this.handleEndingKeydown = this.handleEndingKeydown.bind(this); this.handleNavigationKeyup = this.handleNavigationKeyup.bind(this); this.positionOverlay = this.positionOverlay.bind(this); this.syncOverlayScroll = this.syncOverlayScroll.bind(this); this.paintRangeHighlights = this.paintRangeHighlights.bind(this); this.handleWorkerMessage = this.handleWorkerMessage.bind(this); this.handleWorkerError = this.handleWorkerError.bind(this); this.handleBlockVisibility = this.handleBlockVisibility.bind(this); this.init(); } normalizeOptions(options) { const language = options.language || this.getEditorLanguage(); return { sentenceDataAttribute: options.sentenceDataAttribute || 'data-sentence-id', activeSentenceDataAttribute: options.activeSentenceDataAttribute || 'data-sentence-active', containerClass: options.containerClass || 'paragraph', sentenceClass: options.sentenceClass || 'sentence', activeSentenceClass: options.activeSentenceClass || 'sentence--active', enableFocusMode: options.enableFocusMode !== false, focusModeDimOpacity: options.focusModeDimOpacity || 0.18, dimming: options.dimming || 'flat', dimmingFalloff: options.dimmingFalloff || 0.25, activeParagraphOpacity: options.activeParagraphOpacity !== undefined ? options.activeParagraphOpacity : null, autoScroll: options.autoScroll !== false, scrollBehavior: options.scrollBehavior || 'smooth', scrollMode: options.scrollMode || 'center', scrollLinePosition: options.scrollLinePosition !== undefined ? options.scrollLinePosition : 0.5, scrollMargin: options.scrollMargin !== undefined ? options.scrollMargin : 48, scrollContainer: options.scrollContainer || null, renderer: options.renderer || 'spans', preserveFormatting: options.preserveFormatting === true, virtualize: options.virtualize === true, virtualizeMargin: options.virtualizeMargin !== undefined ? options.virtualizeMargin : 1000, injectStyles: options.injectStyles !== false, ...normalizeDetectionOptions({ ...options, language: language }), headingTags: options.headingTags || ['h1', 'h2', 'h3'], blockTags: options.blockTags || ['p', 'li', 'blockquote', 'div'], updateDebounce: options.updateDebounce || 100, updateThrottle: options.updateThrottle || 50, observeMutations: options.observeMutations !== false, worker: options.worker === true, history: options.history !== false, historyLimit: options.historyLimit || 100, keymap: options.keymap || false, highlightFocusedOnly: options.highlightFocusedOnly === true, onSentenceChange: options.onSentenceChange || null, onActiveSentenceChange: options.onActiveSentenceChange || null, onSentencesDiff: options.onSentencesDiff || null, ...options }; } validateOptions(options) { validateDetectionOptions(options); if (!['spans', 'highlight-api'].includes(options.renderer)) { throw new Error(`SentenceHighlighter: Unknown renderer "${options.renderer}"`); } if (!['flat', 'gradient'].includes(options.dimming)) { throw new Error(`SentenceHighlighter: Unknown dimming "${options.dimming}"`); } if (!SCROLL_MODES.includes(options.scrollMode)) { throw new Error(`SentenceHighlighter: Unknown scrollMode "${options.scrollMode}"`); } } init() { if (this.isInitialized) return; if (!this.isFormControl && !this.usesRangeRenderer()) { this.originalHTML = this.editor.innerHTML; this.originalText = this.getPlainText(); this.hasEdits = false; } if (this.isFormControl) { this.createOverlay(); } else if (this.usesRangeRenderer()) { this.setupRangeRenderer(); } this.injectCSS(); this.addedContainerClass = !this.getHighlightRoot().classList.contains(this.options.containerClass); this.getHighlightRoot().classList.add(this.options.containerClass); if (!this.focusModeEnabled) { this.getHighlightRoot().classList.add('sentence-highlighter-focus-off'); } if (this.options.highlightFocusedOnly && !this.hasFocus()) { this.isIdle = true; this.getHighlightRoot().classList.add('sentence-highlighter-idle'); } this.attachEvents(); this.observeMutations(); this.updateLineObserver(); this.readyTimer = setTimeout(() => { this.readyTimer = null; this.requestScan(() => { this.emit('ready', { sentences: this.getSentences() }); }); }, 10); this.isInitialized = true; } getHighlightRoot() { return this.overlay || this.editor; } createOverlay() { const computed = this.window.getComputedStyle(this.editor); const overlay = this.document.createElement('div'); overlay.className = 'sentence-highlighter-overlay'; overlay.setAttribute('aria-hidden', 'true'); OVERLAY_STYLE_PROPERTIES.forEach(property => { overlay.style[property] = computed[property]; }); overlay.style.position = 'absolute'; overlay.style.margin = '0'; overlay.style.overflow = 'hidden'; overlay.style.pointerEvents = 'none'; overlay.style.borderColor = 'transparent'; overlay.style.whiteSpace = this.editor.tagName === 'TEXTAREA' ? 'pre-wrap' : 'pre'; overlay.style.overflowWrap = 'break-word'; this.savedEditorStyle = this.editor.getAttribute('style'); if (computed.position === 'static') { this.editor.style.position = 'relative'; } this.editor.style.caretColor = computed.color; this.editor.style.color = 'transparent'; this.editor.style.backgroundColor = 'transparent'; this.editor.parentNode.insertBefore(overlay, this.editor); this.overlay = overlay; this.positionOverlay(); this.editor.addEventListener('scroll', this.syncOverlayScroll); this.window.addEventListener('resize', this.positionOverlay); if (typeof ResizeObserver !== 'undefined') { this.overlayResizeObserver = new ResizeObserver(this.positionOverlay); this.overlayResizeObserver.observe(this.editor); } } positionOverlay() { if (!this.overlay) return; const computed = this.window.getComputedStyle(this.editor); const scrollbarWidth = Math.max(0, this.editor.offsetWidth - this.editor.clientWidth - parseFloat(computed.borderLeftWidth) - parseFloat(computed.borderRightWidth)); this.overlay.style.boxSizing = 'border-box'; this.overlay.style.top = `${this.editor.offsetTop}px`; this.overlay.style.left = `${this.editor.offsetLeft}px`; this.overlay.style.width = `${this.editor.offsetWidth}px`; this.overlay.style.height = `${this.editor.offsetHeight}px`; this.overlay.style.paddingRight = `calc(${computed.paddingRight} + ${scrollbarWidth}px)`; this.syncOverlayScroll(); } syncOverlayScroll() { if (!this.overlay) return; this.overlay.scrollTop = this.editor.scrollTop; this.overlay.scrollLeft = this.editor.scrollLeft; } removeOverlay() { if (!this.overlay) return; this.editor.removeEventListener('scroll', this.syncOverlayScroll); this.window.removeEventListener('resize', this.positionOverlay); if (this.overlayResizeObserver) { this.overlayResizeObserver.disconnect(); this.overlayResizeObserver = null; } if (this.overlay.parentNode) { this.overlay.parentNode.removeChild(this.overlay); } this.overlay = null; if (this.savedEditorStyle === null) { this.editor.removeAttribute('style'); } else { this.editor.setAttribute('style', this.savedEditorStyle); } } injectCSS() { this.getHighlightRoot().setAttribute('data-sentence-highlighter', this.instanceId); this.writeStyles(); } getStyleRules() { const { containerClass, sentenceClass, activeSentenceClass, activeSentenceDataAttribute, focusModeDimOpacity } = this.options; const root = `.${containerClass}[data-sentence-highlighter="${this.instanceId}"]`; const sentence = `${root} .${sentenceClass}`; return ` ${sentence} { opacity: var(--sh-dim-opacity, ${focusModeDimOpacity}); transition: var(--sh-transition, opacity 0.18s ease, color 0.18s ease); } ${sentence}[data-sentence-distance] { opacity: var(--sentence-opacity); } ${sentence}.${activeSentenceClass}, ${sentence}[${activeSentenceDataAttribute}] { opacity: 1 !important; color: var(--sh-active-color, inherit); } ${root} .sentence-highlighter-block { display: block; } ${root} .sentence-highlighter-virtual { opacity: var(--sh-dim-opacity, ${focusModeDimOpacity}); } .sentence-highlighter-focus-off ${sentence}, ${root}.sentence-highlighter-focus-off .${sentenceClass}, ${root}.sentence-highlighter-idle .${sentenceClass}, ${root}.sentence-highlighter-focus-off .sentence-highlighter-virtual, ${root}.sentence-highlighter-idle .sentence-highlighter-virtual { opacity: 1; } ` + this.highlightRules; } writeStyles() { if (!this.options.injectStyles) return; const css = this.getStyleRules(); if (this.styleSheet) { this.styleSheet.replaceSync(css); return; } if (this.styleElement) { this.styleElement.textContent = css; return; } const root = this.editor.getRootNode(); const isShadowRoot = root.nodeType === Node.DOCUMENT_FRAGMENT_NODE && !!root.host; const target = isShadowRoot ? root : this.document; const { CSSStyleSheet } = this.window; if ('adoptedStyleSheets' in target && typeof CSSStyleSheet !== 'undefined' && 'replaceSync' in CSSStyleSheet.prototype) { try { const sheet = new CSSStyleSheet(); sheet.replaceSync(css); target.adoptedStyleSheets = [...target.adoptedStyleSheets, sheet]; this.styleSheet = sheet; this.styleTarget = target; return; } catch (e) { } } this.styleElement = this.document.createElement('style'); this.styleElement.setAttribute('data-sentence-highlighter-styles', this.instanceId); this.styleElement.textContent = css; (isShadowRoot ? root : this.document.head).appendChild(this.styleElement); } removeStyles() { if (this.styleSheet) { this.styleTarget.adoptedStyleSheets = this.styleTarget.adoptedStyleSheets.filter(sheet => sheet !== this.styleSheet); this.styleSheet = null; this.styleTarget = null; } if (this.styleElement) { if (this.styleElement.parentNode) { this.styleElement.parentNode.removeChild(this.styleElement); } this.styleElement = null; } } attachEvents() { this.editor.addEventListener('input', this.handleInput); if (this.managesHistory()) { this.editor.addEventListener('beforeinput', this.handleBeforeInput); this.editor.addEventListener('keydown', this.handleHistoryKeydown); } this.editor.addEventListener('keydown', this.handleEndingKeydown); if (this.options.keymap) { this.editor.addEventListener('keydown', this.handleKeymap); } this.editor.addEventListener('click', this.handleNavigation); this.editor.addEventListener('keyup', this.handleNavigationKeyup); this.addSelectionListener(); if (this.options.highlightFocusedOnly) { this.editor.addEventListener('focusin', this.handleFocusChange); this.editor.addEventListener('focusout', this.handleFocusChange); } this.editor.addEventListener('focus', this.handleNavigation); } detachEvents() { this.disconnectMutations(); if (this.lineResizeObserver) { this.lineResizeObserver.disconnect(); this.lineResizeObserver = null; } this.editor.removeEventListener('input', this.handleInput); this.editor.removeEventListener('beforeinput', this.handleBeforeInput); this.editor.removeEventListener('keydown', this.handleHistoryKeydown); this.editor.removeEventListener('keydown', this.handleEndingKeydown); this.editor.removeEventListener('keydown', this.handleKeymap); this.editor.removeEventListener('click', this.handleNavigation); this.editor.removeEventListener('keyup', this.handleNavigationKeyup); this.editor.removeEventListener('focusin', this.handleFocusChange); this.editor.removeEventListener('focusout', this.handleFocusChange); this.editor.removeEventListener('focus', this.handleNavigation); this.removeSelectionListener(); } handleEndingKeydown(e) { if (!this.options.sentenceEndings.includes(e.key)) return; clearTimeout(this.updateTimer); requestAnimationFrame(() => { requestAnimationFrame(() => { this.requestScan(); }); }); } handleNavigationKeyup(e) { const navigationKeys = [ 'ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End', 'PageUp', 'PageDown' ]; if (navigationKeys.includes(e.key)) { this.handleNavigation(); } } handleInput() { this.hasEdits = true; if (this.isApplyingEdit || this.isPaused) return; this.isHandlingInput = true; Promise.resolve().then(() => { this.isHandlingInput = false; }); const text = this.getPlainText(); const caretOffset = this.getCaretOffset(); let shouldUpdateImmediately = false; if (caretOffset > 0) { const charAtCaret = text[caretOffset - 1]; if (this.options.sentenceEndings.includes(charAtCaret)) { shouldUpdateImmediately = true; } } if (!shouldUpdateImmediately && caretOffset > 1) { const charBefore = text[caretOffset - 2]; if (this.options.sentenceEndings.includes(charBefore)) { shouldUpdateImmediately = true; } } if (!shouldUpdateImmediately && this.sentenceMap.size > 0 && !this.usesWorker()) { const currentSentences = this.buildSentenceMap(); if (currentSentences.length !== this.sentenceMap.size) { shouldUpdateImmediately = true; } } clearTimeout(this.updateTimer); if (shouldUpdateImmediately) { requestAnimationFrame(() => { this.requestScan(); }); } else { this.updateTimer = setTimeout(() => { this.requestScan(); }, this.options.updateDebounce); } } managesHistory() { return this.options.history && !this.isFormControl && !this.usesRangeRenderer(); } handleBeforeInput(e) { if (e.inputType === 'historyUndo' || e.inputType === 'historyRedo') { e.preventDefault(); if (e.inputType === 'historyUndo') { this.undo(); } else { this.redo(); } return; } let kind = e.inputType; if (kind === 'insertText' || kind === 'insertCompositionText') { kind = 'insert'; } else if (kind.startsWith('delete')) { kind = 'delete'; } const now = Date.now(); const last = this.lastHistoryInput; const merges = last && last.kind === kind && (kind === 'insert' || kind === 'delete') && now - last.time < HISTORY_MERGE_DELAY; if (!merges) { this.pushHistoryEntry(this.undoStack, this.createHistoryEntry()); } this.redoStack = []; this.lastHistoryInput = { kind: kind, time: now }; } handleHistoryKeydown(e) { if (!(e.ctrlKey || e.metaKey) || e.altKey) return; const key = e.key.toLowerCase(); const isUndo = key === 'z' && !e.shiftKey; const isRedo = (key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey); if (!isUndo && !isRedo) return; e.preventDefault(); if (isUndo) { this.undo(); } else { this.redo(); } } handleKeymap(e) { const keymap = this.options.keymap === true ? DEFAULT_KEYMAP : { ...DEFAULT_KEYMAP, ...this.options.keymap }; for (const action of Object.keys(DEFAULT_KEYMAP)) { if (keymap[action] && this.matchesShortcut(e, keymap[action])) { e.preventDefault(); this[action](); return; } } } matchesShortcut(e, shortcut) { const parts = shortcut.split('+').map(part => part.trim()); const key = parts.pop(); const modifiers = parts.map(part => part.toLowerCase()); if (e.ctrlKey !== modifiers.includes('ctrl') || e.altKey !== modifiers.includes('alt') || e.shiftKey !== modifiers.includes('shift') || e.metaKey !== (modifiers.includes('meta') || modifiers.includes('cmd'))) { return false; } if (/^[a-z]$/i.test(key)) { return e.code === `Key${key.toUpperCase()}` || e.key.toLowerCase() === key.toLowerCase(); } return e.key === key; } createHistoryEntry() { return { html: this.editor.innerHTML, caret: this.getCaretOffset() }; } pushHistoryEntry(stack, entry) { const top = stack[stack.length - 1]; if (top && top.html === entry.html) return; stack.push(entry); if (stack.length > this.options.historyLimit) { stack.shift(); } } restoreHistoryEntry(entry) { clearTimeout(this.updateTimer); this.withoutObserving(() => { this.editor.innerHTML = entry.html; }); if (this.hasFocus()) { this.setCaretOffset(entry.caret); } this.lastContentHash = null; this.lastHistoryInput = null; this.scanAndHighlight(); } observeMutations() { if (!this.options.observeMutations || this.isPaused || this.isFormControl || typeof MutationObserver === 'undefined') { return; } this.mutationObserver = new MutationObserver(this.handleMutations); this.mutationObserver.observe(this.editor, { childList: true, characterData: true, subtree: true }); } disconnectMutations() { if (this.mutationObserver) { this.mutationObserver.disconnect(); this.mutationObserver = null; } if (this.mutationFrame) { cancelAnimationFrame(this.mutationFrame); this.mutationFrame = null; } } handleMutations() { this.hasEdits = true; if (this.isHandlingInput || this.mutationFrame) return; this.mutationFrame = requestAnimationFrame(() => { this.mutationFrame = null; if (this.getContentHash() !== this.lastContentHash || !this.hasValidHighlights()) { this.requestScan(); } }); } withoutObserving(callback) { if (!this.mutationObserver) { return callback(); } const pending = this.mutationObserver.takeRecords(); try { return callback(); } finally { this.mutationObserver.takeRecords(); if (pending.length > 0) { this.handleMutations(); } } } handleNavigation() { clearTimeout(this.updateTimer); this.updateTimer = setTimeout(() => { this.updateActiveSentence(); }, this.options.updateThrottle); } addSelectionListener() { const count = selectionDocuments.get(this.document) || 0; if (count === 0) { this.document.addEventListener('selectionchange', SentenceHighlighter.handleSelectionChange); } selectionDocuments.set(this.document, count + 1); } removeSelectionListener() { const count = selectionDocuments.get(this.document) - 1; if (count === 0) { this.document.removeEventListener('selectionchange', SentenceHighlighter.handleSelectionChange); selectionDocuments.delete(this.document); } else { selectionDocuments.set(this.document, count); } } static handleSelectionChange(event) { const candidates = []; instances.forEach(instance => { if (instance.isInitialized && instance.document === event.currentTarget) candidates.push(instance); }); const focused = candidates.find(instance => instance.hasFocus()); (focused ? [focused] : candidates).forEach(instance => instance.handleCaretMove()); } static attachAll(selector, options = {}) { const elements = typeof selector === 'string' ? document.querySelectorAll(selector) : selector; return Array.from(elements, element => SentenceHighlighter.getInstance(element) || new SentenceHighlighter(element, options) ); } static getInstance(element) { return instances.get(element) || null; } static destroyAll() { Array.from(instances.values()).forEach(instance => instance.destroy()); } static segmentSentences(text, options = {}) { return segmentSentences(text, options); } handleFocusChange(e) { const isIdle = e.type === 'focusout' && !this.editor.contains(e.relatedTarget); if (isIdle === this.isIdle) return; this.isIdle = isIdle; this.getHighlightRoot().classList.toggle('sentence-highlighter-idle', isIdle); if (this.usesRangeRenderer()) { this.paintRangeHighlights(); } } handleCaretMove() { if (this.isFormControl) { if (!this.hasFocus()) return; } else { const range = this.getSelectionRange(); if (!range || !this.editor.contains(range.startContainer)) return; } clearTimeout(this.updateTimer); this.updateTimer = setTimeout(() => { this.updateActiveSentence(); }, this.options.updateThrottle); } reconcileSentenceIds(sentences) { const previous = Array.from(this.sentenceMap.values()); const matches = new Array(sentences.length).fill(-1); const usedPrevious = new Set(); const key = sentence => `${sentence.isHeading}:${sentence.text.trim()}`; const byText = new Map(); previous.forEach((sentence, j) => { if (!byText.has(key(sentence))) byText.set(key(sentence), []); byText.get(key(sentence)).push(j); }); sentences.forEach((sentence, i) => { const candidates = byText.get(key(sentence)); if (candidates && candidates.length > 0) { matches[i] = candidates.shift(); usedPrevious.add(matches[i]); } }); sentences.forEach((sentence, i) => { if (matches[i] >= 0) return; let low = -1; for (let k = i - 1; k >= 0; k--) { if (matches[k] >= 0) { low = matches[k]; break; } } let high = previous.length; for (let k = i + 1; k < sentences.length; k++) { if (matches[k] >= 0) { high = matches[k]; break; } } let best = -1; let bestScore = SIMILARITY_THRESHOLD; for (let j = low + 1; j < high; j++) { if (usedPrevious.has(j) || previous[j].isHeading !== sentence.isHeading) continue; const score = this.textSimilarity(previous[j].text, sentence.text); if (score >= bestScore) { best = j; bestScore = score; } } if (best >= 0) { matches[i] = best; usedPrevious.add(best); } }); const diff = { added: [], removed: [], modified: [], moved: [] }; const usedIds = new Set(previous.map(sentence => sentence.id)); sentences.forEach((sentence, i) => { if (matches[i] < 0) return; const match = previous[matches[i]]; sentence.id = match.id; if (match.text.trim() !== sentence.text.trim()) { diff.modified.push(sentence.id); } }); sentences.forEach((sentence, i) => { if (matches[i] >= 0) return; sentence.id = generateSentenceId(sentence.text, sentence.isHeading, usedIds); diff.added.push(sentence.id); }); previous.forEach((sentence, j) => { if (!usedPrevious.has(j)) { diff.removed.push(sentence.id); } }); const order = []; sentences.forEach((sentence, i) => { if (matches[i] >= 0) order.push({ id: sentence.id, index: matches[i] }); }); const inOrder = this.longestIncreasingSubsequence(order.map(entry => entry.index)); order.forEach((entry, k) => { if (!inOrder.has(k)) { diff.moved.push(entry.id); } }); return diff; } textSimilarity(a, b) { const normalize = text => text.toLowerCase().replace(/\s+/g, ' ').trim(); a = normalize(a); b = normalize(b); if (a === b) return 1; if (a.length < 2 || b.length < 2) return 0; const bigrams = new Map(); for (let i = 0; i < a.length - 1; i++) { const bigram = a.substring(i, i + 2); bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1); } let overlap = 0; for (let i = 0; i < b.length - 1; i++) { const bigram = b.substring(i, i + 2); const count = bigrams.get(bigram) || 0; if (count > 0) { bigrams.set(bigram, count - 1); overlap++; } } return (2 * overlap) / (a.length + b.length - 2); } longestIncreasingSubsequence(values) { const tails = []; const parents = new Array(values.length).fill(-1); values.forEach((value, i) => { let low = 0; let high = tails.length; while (low < high) { const mid = (low + high) >> 1; if (values[tails[mid]] < value) low = mid + 1; else high = mid; } parents[i] = low > 0 ? tails[low - 1] : -1; tails[low] = i; }); const result = new Set(); for (let i = tails.length > 0 ? tails[tails.length - 1] : -1; i >= 0; i = parents[i]) { result.add(i); } return result; } hasFocus() { const root = this.editor.getRootNode(); const active = root.activeElement !== undefined ? root.activeElement : this.document.activeElement; return active === this.editor || this.editor.contains(active); } getSelection() { const root = this.editor.getRootNode(); if (root !== this.document && typeof root.getSelection === 'function') { return root.getSelection(); } return this.window.getSelection(); } getSelectionRange() { const selection = this.getSelection(); if (!selection || selection.rangeCount === 0) return null; const root = this.editor.getRootNode(); if (root.host && typeof root.getSelection !== 'function' && typeof selection.getComposedRanges === 'function') { let composed; try { composed = selection.getComposedRanges({ shadowRoots: [root] }); } catch (e) { composed = selection.getComposedRanges(root); } if (!composed.length) return null; const range = this.document.createRange(); range.setStart(composed[0].startContainer, composed[0].startOffset); range.setEnd(composed[0].endContainer, composed[0].endOffset); return range; } return selection.getRangeAt(0); } getCaretOffset() { if (this.isFormControl) { return this.editor.selectionStart || 0; } const range = this.getSelectionRange(); if (!range) return 0; const preRange = range.cloneRange(); preRange.selectNodeContents(this.editor); preRange.setEnd(range.startContainer, range.startOffset); return preRange.toString().length; } getEditorLanguage() { const element = this.editor.closest('[lang]'); return element ? element.getAttribute('lang') : ''; } setSelectionOffsets(start, end) { if (this.isFormControl) { const value = this.editor.value; this.editor.setSelectionRange(snapToCodePoint(value, start), snapToCodePoint(value, end)); return; } const textNodes = this.getTextNodes(); const from = this.findTextPosition(textNodes, start, false); const to = start === end ? from : this.findTextPosition(textNodes, end, true); if (!from || !to) return; const range = this.document.createRange(); range.setStart(from.node, snapToCodePoint(from.node.textContent, from.offset)); range.setEnd(to.node, snapToCodePoint(to.node.textContent, to.offset)); const selection = this.getSelection(); selection.removeAllRanges(); selection.addRange(range); } setCaretOffset(targetOffset) { if (this.isFormControl) { const offset = snapToCodePoint(this.editor.value, Math.min(targetOffset, this.editor.value.length)); this.editor.setSelectionRange(offset, offset); return; } const selection = this.getSelection(); const range = this.document.createRange(); let currentOffset = 0; let found = false; const traverse = (node) => { if (found) return; if (node.nodeType === Node.TEXT_NODE) { const text = node.textContent || ""; const nextOffset = currentOffset + text.length; if (targetOffset <= nextOffset) { const localOffset = snapToCodePoint(text, targetOffset - currentOffset); range.setStart(node, Math.max(0, localOffset)); range.collapse(true); found = true; return; } currentOffset = nextOffset; } else if (node.nodeType === Node.ELEMENT_NODE) { for (let i = 0; i < node.childNodes.length; i++) { traverse(node.childNodes[i]); if (found) return; } } }; traverse(this.editor); if (!found) { range.selectNodeContents(this.editor); range.collapse(false); } selection.removeAllRanges(); selection.addRange(range); } buildSentenceMap() { const textNodes = this.options.unit === 'line' && !this.isFormControl ? this.getTextNodes() : null; const splitLines = textNodes ? (blockText, block) => this.splitLines(blockText, block.start, textNodes) : null; return detectSentences(this.getPlainText(), this.getTextBlocks(), this.options, splitLines); } splitLines(text, offset, textNodes) { const lines = []; let lineTop = null; splitWords(text, this.options.locale).forEach(word => { const end = word.start + text.slice(word.start, word.end).trimEnd().length; const from = this.findTextPosition(textNodes, offset + word.start, false); const to = this.findTextPosition(textNodes, offset + end, true); let rect = null; if (from && to) { const range = this.document.createRange(); range.setStart(from.node, from.offset); range.setEnd(to.node, to.offset); rect = range.getClientRects()[0] || null; } if (lineTop === null || (rect && rect.height > 0 && rect.top >= lineTop + rect.height / 2)) { lines.push({ start: word.start, end: word.end }); lineTop = rect ? rect.top : 0; } else { lines[lines.length - 1].end = word.end; } }); return lines; } updateLineObserver() { const needed = this.options.unit === 'line' && !this.isFormControl && typeof ResizeObserver !== 'undefined'; if (!needed) { if (this.lineResizeObserver) { this.lineResizeObserver.disconnect(); this.lineResizeObserver = null; } return; } if (this.lineResizeObserver) return; this.lineWidth = this.editor.clientWidth; this.lineResizeObserver = new ResizeObserver(() => { if (this.editor.clientWidth === this.lineWidth) return; this.lineWidth = this.editor.clientWidth; this.lastContentHash = null; this.scanAndHighlight(); }); this.lineResizeObserver.observe(this.editor); } getTextBlocks(withElements = false) { if (this.isFormControl) { const lines = []; let start = 0; this.getPlainText().split('\n').forEach(line => { lines.push({ start: start, end: start + line.length, isHeading: false }); start += line.length + 1; }); return lines; } const headingTags = this.options.headingTags.map(tag => tag.toLowerCase()); const blockTags = headingTags.concat(this.options.blockTags.map(tag => tag.toLowerCase())); const blocks = []; let current = null; this.getTextNodes().forEach(({ node, start, end }) => { const element = this.findBlockElement(node, blockTags); if (current && (current.element === element || this.isSameFlatBlock(current.element, element))) { current.end = end; return; } current = { element: element, start: start, end: end, isHeading: !!element && ( headingTags.includes(element.tagName.toLowerCase()) || element.classList.contains('sentence-highlighter-heading') ) }; blocks.push(current); }); return withElements ? blocks : blocks.map(({ start, end, isHeading }) => ({ start, end, isHeading })); } findBlockElement(node, blockTags) { let element = node.parentElement; while (element && element !== this.editor) { if (blockTags.includes(element.tagName.toLowerCase())) { return element; } if (!this.options.preserveFormatting && ( element.hasAttribute('data-sentence-block') || element.classList.contains('sentence-highlighter-heading') || element.classList.contains('sentence-highlighter-block') )) { return element; } element = element.parentElement; } return null; } isSameFlatBlock(a, b) { return !!a && !!b && a.parentNode === b.parentNode && a.hasAttribute('data-sentence-block') && a.getAttribute('data-sentence-block') === b.getAttribute('data-sentence-block'); } getPlainText() { if (this.isFormControl) { return this.editor.value; } return this.editor.textContent || this.editor.innerText || ''; } getContentHash() { const text = this.getPlainText(); const textHash = `${text.length}-${simpleHash(text)}`; if (this.isFormControl) { return textHash; } const blocks = this.getTextBlocks().map(block => `${block.end}${block.isHeading ? 'h' : ''}`).join(','); return `${textHash}-${simpleHash(blocks)}`; } findActiveSentenceId(caretOffset) { const sentences = Array.from(this.sentenceMap.values()); const activeIndex = this.findActiveSentenceIndex(sentences, caretOffset); if (activeIndex >= 0 && activeIndex < sentences.length) { return sentences[activeIndex].id; } return null; } scanAndHighlight() { if (this.isPaused || !this.isInitialized) { this.cancelSegmentation().forEach(callback => callback()); return; } const callbacks = this.cancelSegmentation(); if (!this.getPlainText().trim()) { this.applySentences([], ''); } else { const contentHash = this.getContentHash(); this.applySentences(this.buildSentenceMap(), contentHash); } callbacks.forEach(callback => callback()); } applySentences(newSentences, contentHash) { const previous = Array.from(this.sentenceMap.values()); const previousActive = this.getActiveSentence(); if (newSentences.length === 0) { this.withoutObserving(() => this.clearAllHighlights()); this.sentenceMap.clear(); this.sentenceElements.clear(); this.activeSentenceId = null; this.lastContentHash = ''; if (previous.length > 0) { this.notifySentencesChanged(previous, [], { added: [], removed: previous.map(sentence => sentence.id), modified: [], moved: [] }); this.notifyActiveChange(previousActive); } return; } const caretOffset = this.getCaretOffset(); const diff = this.reconcileSentenceIds(newSentences); const activeIndex = this.findActiveSentenceIndex(newSentences, caretOffset); const needsRebuild = contentHash !== this.lastContentHash || !this.sentenceElements || this.sentenceElements.size === 0 || !this.hasValidHighlights(); const timeSinceLastRebuild = Date.now() - this.lastRebuildTime; const shouldRebuild = needsRebuild && (timeSinceLastRebuild > 50 || !this.isRebuilding); const rebuilt = shouldRebuild && !this.isRebuilding; if (rebuilt) { this.isRebuilding = true; this.withoutObserving(() => this.rebuildHighlights(newSentences, activeIndex, caretOffset)); this.lastContentHash = contentHash; this.lastRebuildTime = Date.now(); this.isRebuilding = false; } else if (!needsRebuild) { this.updateActiveSentenceFromMap(newSentences, activeIndex); } else { this.updateActiveSentenceFromMap(newSentences, activeIndex); } this.sentenceMap.clear(); newSentences.forEach(s => { this.sentenceMap.set(s.id, s); }); this.applyDimming(); if (rebuilt) { this.emit('rebuild', { sentences: this.getSentences() }); } this.notifySentencesChanged(previous, newSentences, diff); this.notifyActiveChange(previousActive); if (this.options.autoScroll) { this.scrollCaretIntoView(); } } requestScan(callback) { const text = this.getPlainText(); if (this.isPaused || !this.isInitialized || !this.usesWorker() || !text.trim()) { this.scanAndHighlight(); if (callback) callback(); return; } const callbacks = this.cancelSegmentation(); if (callback) callbacks.push(callback); const request = { id: ++this.segmentationId, contentHash: this.getContentHash(), callbacks: callbacks }; const options = {}; DETECTION_OPTIONS.forEach(key => { options[key] = this.options[key]; }); this.pendingSegmentation = request; this.worker.postMessage({ id: request.id, text: text, blocks: this.getTextBlocks(), options: options }); } usesWorker() { if (!this.options.worker || this.workerFailed) return false; if (typeof this.options.segmenter === 'function' || (this.options.unit === 'line' && !this.isFormControl)) { return false; } if (!this.worker) { this.createWorker(); } return !!this.worker; } createWorker() { const { Worker, Blob, URL } = this.window; if (typeof Worker !== 'function' || typeof Blob !== 'function' || !URL || typeof URL.createObjectURL !== 'function') { this.workerFailed = true; return; } try { this.workerURL = URL.createObjectURL(new Blob([getWorkerSource()], { type: 'text/javascript' })); this.worker = new Worker(this.workerURL); } catch (error) { this.terminateWorker(); this.workerFailed = true; return; } this.worker.addEventListener('message', this.handleWorkerMessage); this.worker.addEventListener('error', this.handleWorkerError); } handleWorkerMessage(event) { const request = this.pendingSegmentation; const { id, sentences, error } = event.data; if (!request || id !== request.id) return; if (error) { this.handleWorkerError(); return; } if (this.isPaused || !this.isInitialized) { this.scanAndHighlight(); return; } if (this.getContentHash() !== request.contentHash) { this.requestScan(); return; } this.pendingSegmentation = null; this.applySentences(sentences, request.contentHash); request.callbacks.forEach(callback => callback()); } handleWorkerError() { this.workerFailed = true; this.scanAndHighlight(); this.terminateWorker(); } cancelSegmentation() { const request = this.pendingSegmentation; if (!request) return []; this.pendingSegmentation = null; if (this.worker) { this.worker.postMessage({ cancel: request.id }); } return request.callbacks; } terminateWorker() { this.pendingSegmentation = null; if (this.worker) { this.worker.terminate(); this.worker = null; } if (this.workerURL) { this.window.URL.revokeObjectURL(this.workerURL); this.workerURL = null; } } notifySentencesChanged(previous, sentences, diff) { const isEmptyDiff = !diff.added.length && !diff.removed.length && !diff.modified.length && !diff.moved.length; const offsetsChanged = previous.length !== sentences.length || sentences.some((sentence, i) => sentence.start !== previous[i].start || sentence.end !== previous[i].end ); if (isEmptyDiff && !offsetsChanged) return; if (this.options.onSentenceChange) { this.options.onSentenceChange(Array.from(this.sentenceMap.values())); } if (!isEmptyDiff && this.options.onSentencesDiff) { this.options.onSentencesDiff(diff); } this.emit('sentencesChanged', { sentences: this.getSentences(), diff: diff }); } notifyActiveChange(previous) { if ((previous ? previous.id : null) === this.activeSentenceId) return; const sentence = this.getActiveSentence(); const index = this.getActiveSentenceIndex(); if (sentence && this.options.onActiveSentenceChange) { this.options.onActiveSentenceChange(index, this.sentenceMap.get(sentence.id)); } this.emit('activeChange', { previous: previous, sentence: sentence, index: index }); } findActiveSentenceIndex(sentences, caretOffset) { for (let i = 0; i < sentences.length; i++) { const s = sentences[i]; if (caretOffset < s.start) { return i; } if (caretOffset >= s.start && caretOffset < s.end) { return i; } if (caretOffset === s.end && i < sentences.length - 1) { return i + 1; } } if (sentences.length > 0) { const lastSentence = sentences[sentences.length - 1]; if (caretOffset >= lastSentence.start) { return sentences.length - 1; } } return -1; } hasValidHighlights() { if (!this.sentenceElements) { return false; } if (this.usesRangeRenderer()) { return this.sentenceRanges.size > 0; } return this.sentenceElements.size > 0 && this.getHighlightRoot().querySelectorAll(`[${this.options.sentenceDataAttribute}]`).length > 0; } clearAllHighlights() { if (!this.sentenceElements) { this.sentenceElements = new Map(); } if (this.overlay) { this.overlay.textContent = this.getPlainText(); this.sentenceElements.clear(); return; } if (this.usesRangeRenderer()) { this.sentenceRanges.clear(); this.sentenceElements.clear(); this.paintRangeHighlights(); return; } this.unwrapSentenceSpans(); const container = this.options.preserveFormatting ? null : this.editor.querySelector(`.${this.options.containerClass}`); if (container) { const hasElements = Array.from(container.childNodes).some(node => node.nodeType === Node.ELEMENT_NODE ); if (!hasElements) { while (container.firstChild) { this.editor.insertBefore(container.firstChild, container); } this.editor.removeChild(container); } } this.sentenceElements.clear(); } unwrapSentenceSpans(keep) { const spans = this.editor.querySelectorAll(`[${this.options.sentenceDataAttribute}]`); const parents = new Set(); let count = 0; spans.forEach(span => { const parent = span.parentNode; if (!parent || (keep && keep.has(span))) return; while (span.firstChild) { parent.insertBefore(span.firstChild, span); } parent.removeChild(span); parents.add(parent); count++; }); parents.forEach(parent => parent.normalize()); return count; } getTextNodes() { const textNodes = []; const walker = this.document.createTreeWalker(this.editor, NodeFilter.SHOW_TEXT); let offset = 0; let node; while ((node = walker.nextNode())) { const length = node.textContent.length; textNodes.push({ node: node, start: offset, end: offset + length }); offset += length; } return textNodes; } createSentenceSpan(sentence, isActive) { const span = this.document.createElement('span'); span.setAttribute(this.options.sentenceDataAttribute, sentence.id); span.className = this.options.sentenceClass; if (isActive) { span.classList.add(this.options.activeSentenceClass); span.setAttribute(this.options.activeSentenceDataAttribute, 'true'); } if (sentence.isHeading) { span.classList.add('sentence-highlighter-heading'); } return span; } rebuildHighlights(sentences, activeIndex, caretOffset) { if (sentences.length === 0) { this.clearAllHighlights(); return; } if (!this.sentenceElements) { this.sentenceElements = new Map(); } const savedCaretOffset = this.getCaretOffset(); const wasFocused = this.hasFocus(); const patched = this.applySentenceDiff(sentences, activeIndex); if (patched >= 0) { if (patched > 0) { this.restoreCaret(savedCaretOffset, wasFocused); } return; } this.sentenceElements.clear(); if (activeIndex >= 0 && activeIndex < sentences.length) { this.activeSentenceId = sentences[activeIndex].id; } if (this.overlay) { this.renderOverlay(sentences, activeIndex); return; } if (this.usesRangeRenderer()) { this.renderRanges(sentences); return; } if (this.options.preserveFormatting) { this.wrapSentencesInPlace(sentences, activeIndex); } else { this.replaceWithSentenceContainer(sentences, activeIndex); } this.restoreCaret(savedCaretOffset, wasFocused); } applySentenceDiff(sentences, activeIndex) { if (this.overlay || this.usesRangeRenderer() || this.sentenceElements.size === 0) { return -1; } const container = this.options.preserveFormatting ? null : this.editor.firstChild; if (!this.options.preserveFormatting && !( this.editor.childNodes.length === 1 && container.nodeType === Node.ELEMENT_NODE && container.classList.contains(this.options.containerClass) )) { return -1; } const previous = Array.from(this.sentenceMap.values()); const activeId = activeIndex >= 0 && activeIndex < sentences.length ? sentences[activeIndex].id : null; const isRendered = this.getRenderedFilter(sentences, activeId); const isKept = (oldSentence, newSentence) => oldSentence.id === newSentence.id && oldSentence.text === newSentence.text && oldSentence.isHeading === newSentence.isHeading && (isRendered(newSentence) ? this.spansMatchSentence(oldSentence, container) : !this.sentenceElements.has(oldSentence.id)); const max = Math.min(previous.length, sentences.length); let prefix = 0; while (prefix < max && isKept(previous[prefix], sentences[prefix])) { prefix++; } let suffix = 0; while (suffix < max - prefix && isKept(previous[previous.length - 1 - suffix], sentences[sentences.length - 1 - suffix])) { suffix++; } if (prefix + suffix === 0) { return -1; } const elements = new Map(); const keep = new Set(); const carryOver = (oldSentence, newSentence) => { const spans = this.sentenceElements.get(oldSentence.id); if (!spans) return; if (container) { spans[0].setAttribute('data-sentence-block', newSentence.blockIndex); } spans.forEach(span => keep.add(span)); elements.set(newSentence.id, spans); }; for (let i = 0; i < prefix; i++) { carryOver(previous[i], sentences[i]); } for (let i = 0; i < suffix; i++) { carryOver(previous[previous.length - 1 - i], sentences[sentences.length - 1 - i]); } const changed = sentences.slice(prefix, sentences.length - suffix); let modified = changed.length; if (this.options.preserveFormatting) { modified += this.unwrapSentenceSpans(keep); this.sentenceElements = elements; this.wrapSentences(changed.filter(isRendered), activeId); } else { const before = prefix > 0 ? elements.get(sentences[prefix - 1].id)[0] : null; const after = suffix > 0 ? elements.get(sentences[sentences.length - suffix].id)[0] : null; let node = before ? before.nextSibling : container.firstChild; while (node && node !== after) { const next = node.nextSibling; container.removeChild(node); modified++; node = next; } this.sentenceElements = elements; changed.forEach(sentence => { const span = this.createFlatSentenceSpan(sentence, sentence.id === activeId); container.insertBefore(span, after); this.sentenceElements.set(sentence.id, [span]); }); } if (activeId) { this.activateSentence(activeId); } return modified; } spansMatchSentence(sentence, container) { const spans = this.sentenceElements.get(sentence.id); if (!spans || spans.length === 0) return false; if (container) { return spans.length === 1 && spans[0].parentNode === container && spans[0].textContent === sentence.text; } const text = spans.map(span => span.textContent).join(''); return spans.every(span => this.editor.contains(span)) && text.replace(/\s+/g, '') === sentence.text.replace(/\s+/g, ''); } createFlatSentenceSpan(sentence, isActive) { const span = this.createSentenceSpan(sentence, isActive); span.textContent = sentence.text; span.setAttribute('data-sentence-block', sentence.blockIndex); if (this.options.unit === 'paragraph' && !sentence.isHeading) { span.classList.add('sentence-highlighter-block'); } if (RTL_PATTERN.test(sentence.text)) { span.setAttribute('dir', 'auto'); } return span; } replaceWithSentenceContainer(sentences, activeIndex) { const container = this.document.createElement('div'); container.className = this.options.containerClass; sentences.forEach((sentence, i) => { const span = this.createFlatSentenceSpan(sentence, i === activeIndex); container.appendChild(span); this.sentenceElements.set(sentence.id, [span]); }); this.editor.innerHTML = ''; this.editor.appendChild(container); } usesRangeRenderer() { return this.options.renderer === 'highlight-api' && !this.isFormControl; } supportsHighlightApi() { const { CSS, Highlight } = this.window; return typeof CSS !== 'undefined' && !!CSS.highlights && typeof Highlight === 'function'; } getHighlightNames() { if (!this.options.injectStyles) { return { dim: 'sentence-highlighter-dim', active: 'sentence-highlighter-active' }; } return { dim: `sentence-highlighter-${this.instanceId}-dim`, active: `sentence-highlighter-${this.instanceId}-active` }; } setupRangeRenderer() { if (this.supportsHighlightApi()) { this.highlightTextColor = this.window.getComputedStyle(this.editor).color; return; } this.rectLayer = this.document.createElement('div'); this.rectLayer.className = 'sentence-highlighter-rects'; this.rectLayer.setAttribute('aria-hidden', 'true'); this.rectLayer.style.position = 'absolute'; this.rectLayer.style.overflow = 'hidden'; this.rectLayer.style.pointerEvents = 'none'; this.editor.parentNode.insertBefore(this.rectLayer, this.editor.nextSibling); this.editor.addEventListener('scroll', this.paintRangeHighlights); this.window.addEventListener('resize', this.paintRangeHighlights); } teardownRangeRenderer() { if (this.supportsHighlightApi()) { this.paintedHighlights.forEach(name => this.window.CSS.highlights.delete(name)); this.paintedHighlights.clear(); this.highlightLevels.clear(); if (this.sharedRanges.size > 0) { this.paintSharedHighlights([], []); this.sharedRanges.clear(); } } this.highlightRules = ''; if (this.rectLayer) { this.editor.removeEventListener('scroll', this.paintRangeHighlights); this.window.removeEventListener('resize', this.paintRangeHighlights); if (this.rectLayer.parentNode) { this.rectLayer.parentNode.removeChild(this.rectLayer); } this.rectLayer = null; } this.sentenceRanges.clear(); } renderRanges(sentences) { const textNodes = this.getTextNodes(); this.sentenceRanges.clear(); sentences.forEach(sentence => { const start = this.findTextPosition(textNodes, sentence.start, false); const end = this.findTextPosition(textNodes, sentence.end, true); if (!start || !end) return; const range = this.document.createRange(); range.setStart(start.node, start.offset); range.setEnd(end.node, end.offset); this.sentenceRanges.set(sentence.id, range); this.sentenceElements.set(sentence.id, []); }); this.paintRangeHighlights(); } findTextPosition(textNodes, offset, preferPrevious) { for (let i = 0; i < textNodes.length; i++) { const entry = textNodes[i]; if (offset < entry.end || (offset === entry.end && (preferPrevious || i === textNodes.length - 1))) { return { node: entry.node, offset: offset - entry.start }; } } return null; } paintRangeHighlights() { const dimmed = new Map(); const active = []; const opacities = this.usesGraduatedDimming() ? this.getSentenceOpacities() : null; this.sentenceRanges.forEach((range, id) => { if (id === this.activeSentenceId) { active.push(range); } else if (this.focusModeEnabled && !this.isIdle) { const opacity = opacities && opacities.has(id) ? opacities.get(id).opacity : this.options.focusModeDimOpacity; if (!dimmed.has(opacity)) dimmed.set(opacity, []); dimmed.get(opacity).push(range); } }); if (this.supportsHighlightApi() && !this.options.injectStyles) { this.paintSharedHighlights(active, [].concat(...dimmed.values())); return; } if (this.supportsHighlightApi()) { const { CSS, Highlight } = this.window; const names = this.getHighlightNames(); const painted = new Set([names.active]); CSS.highlights.set(names.active, new Highlight(...active)); dimmed.forEach((ranges, opacity) => { const name = `${names.dim}-${Math.round(opacity * 100)}`; if (!this.highlightLevels.has(opacity)) { const color = this.withAlpha(this.highlightTextColor, opacity); this.highlightRules += `::highlight(${name}) { color: ${color}; }\n`; this.highlightLevels.add(opacity); this.writeStyles(); } CSS.highlights.set(name, new Highlight(...ranges)); painted.add(name); }); this.paintedHighlights.forEach(name => { if (!painted.has(name)) CSS.highlights.delete(name); }); this.paintedHighlights = painted; return; } if (this.rectLayer) { this.paintRangeRects(dimmed); } } paintSharedHighlights(active, dimmed) { const { CSS, Highlight } = this.window; const names = this.getHighlightNames(); [[names.active, active], [names.dim, dimmed]].forEach(([name, ranges]) => { let highlight = CSS.highlights.get(name); if (!highlight) { if (ranges.length === 0) return; highlight = new Highlight(); CSS.highlights.set(name, highlight); } (this.sharedRanges.get(name) || []).forEach(range => highlight.delete(range)); ranges.forEach(range => highlight.add(range)); this.sharedRanges.set(name, ranges); if (highlight.size === 0) { CSS.highlights.delete(name); } }); } paintRangeRects(dimmed) { const layer = this.rectLayer; const editorRect = this.editor.getBoundingClientRect(); const backgroundColor = this.getBackgroundColor(); layer.style.top = `${this.editor.offsetTop}px`; layer.style.left = `${this.editor.offsetLeft}px`; layer.style.width = `${this.editor.offsetWidth}px`; layer.style.height = `${this.editor.offsetHeight}px`; layer.textContent = ''; dimmed.forEach((ranges, opacity) => { const background = this.withAlpha(backgroundColor, 1 - opacity); ranges.forEach(range => { Array.from(range.getClientRects()).forEach(rect => { const cover = this.document.createElement('div'); cover.style.position = 'absolute'; cover.style.top = `${rect.top - editorRect.top}px`; cover.style.left = `${rect.left - editorRect.left}px`; cover.style.width = `${rect.width}px`; cover.style.height = `${rect.height}px`; cover.style.background = background; layer.appendChild(cover); }); }); }); } getBackgroundColor() { let element = this.editor; while (element && element.nodeType === Node.ELEMENT_NODE) { const color = this.window.getComputedStyle(element).backgroundColor; if (color && color !== 'transparent' && !/rgba\(.*,\s*0\)$/.test(color)) { return color; } element = element.parentElement; } return 'rgb(255, 255, 255)'; } withAlpha(color, alpha) { const match = /rgba?\(([^)]+)\)/.exec(color || ''); if (!match) { return `rgba(0, 0, 0, ${alpha})`; } const parts = match[1].split(',').map(part => parseFloat(part)); const baseAlpha = parts.length > 3 ? parts[3] : 1; return `rgba(${parts[0]}, ${parts[1]}, ${parts[2]}, ${baseAlpha * alpha})`; } renderOverlay(sentences, activeIndex) { const text = this.getPlainText(); const fragment = this.document.createDocumentFragment(); let offset = 0; sentences.forEach((sentence, i) => { if (sentence.start > offset) { fragment.appendChild(this.document.createTextNode(text.substring(offset, sentence.start))); } const span = this.createSentenceSpan(sentence, i === activeIndex); span.textContent = sentence.text; fragment.appendChild(span); this.sentenceElements.set(sentence.id, [span]); offset = sentence.end; }); fragment.appendChild(this.document.createTextNode(text.substring(offset) + (text.endsWith('\n') ? ' ' : ''))); this.overlay.textContent = ''; this.overlay.appendChild(fragment); this.syncOverlayScroll(); } wrapSentencesInPlace(sentences, activeIndex) { const activeId = activeIndex >= 0 ? sentences[activeIndex].id : null; const isRendered = this.getRenderedFilter(sentences, activeId); this.unwrapSentenceSpans(); this.wrapSentences(sentences.filter(isRendered), activeId); } wrapSentences(sentences, activeId) { const textNodes = this.getTextNodes(); let nodeIndex = 0; sentences.forEach(sentence => { const fragments = []; while (nodeIndex < textNodes.length && textNodes[nodeIndex].end <= sentence.start) { nodeIndex++; } for (let j = nodeIndex; j < textNodes.length && textNodes[j].start < sentence.end; j++) { const entry = textNodes[j]; let target = entry.node; let targetStart = entry.start; if (sentence.start > targetStart) { target = target.splitText(sentence.start - targetStart); targetStart = sentence.start; } if (entry.end > sentence.end) { const tail = target.splitText(sentence.end - targetStart); textNodes[j] = { node: tail, start: sentence.end, end: entry.end }; } if (!target.textContent.trim()) continue; const span = this.createSentenceSpan(sentence, sentence.id === activeId); target.parentNode.insertBefore(span, target); span.appendChild(target); fragments.push(span); } this.sentenceElements.set(sentence.id, fragments); }); } usesVirtualization() { return this.options.virtualize && this.options.preserveFormatting && !this.isFormControl && !this.usesRangeRenderer() && typeof this.window.IntersectionObserver === 'function'; } getRenderedFilter(sentences, activeId) { if (!this.usesVirtualization()) { return () => true; } const elements = this.getTextBlocks(true).map(block => block.element); this.observeBlocks(elements); const active = sentences.find(sentence => sentence.id === activeId); const isRenderedBlock = index => !elements[index] || this.visibleBlocks.has(elements[index]) || (active !== undefined && active.blockIndex === index); elements.forEach((element, index) => { if (element) { element.classList.toggle('sentence-highlighter-virtual', !isRenderedBlock(index)); } }); return sentence => isRenderedBlock(sentence.blockIndex); } observeBlocks(elements) { if (!this.blockObserver) { const container = this.getScrollContainer(); this.blockObserver = new this.window.IntersectionObserver(this.handleBlockVisibility, { root: this.isPageScrollContainer(container) ? null : container, rootMargin: `${this.options.virtualizeMargin}px 0px` }); } const current = new Set(elements.filter(Boolean)); this.observedBlocks.forEach(element => { if (current.has(element)) return; this.blockObserver.unobserve(element); this.observedBlocks.delete(element); this.visibleBlocks.delete(element); }); current.forEach(element => { if (this.observedBlocks.has(element)) return; this.blockObserver.observe(element); this.observedBlocks.add(element); }); } handleBlockVisibility(entries) { entries.forEach(entry => { if (entry.isIntersecting) { this.visibleBlocks.add(entry.target); } else { this.visibleBlocks.delete(entry.target); } }); this.renderVisibleSentences(); } renderVisibleSentences() { if (!this.usesVirtualization() || !this.isInitialized || this.isPaused || this.sentenceMap.size === 0) return; if (this.getContentHash() !== this.lastContentHash) return; const sentences = Array.from(this.sentenceMap.values()); const isRendered = this.getRenderedFilter(sentences, this.activeSentenceId); const shown = sentences.filter(sentence => isRendered(sentence) && !this.sentenceElements.has(sentence.id)); const hidden = sentences.filter(sentence => !isRendered(sentence) && this.sentenceElements.has(sentence.id)); if (shown.length === 0 && hidden.length === 0) return; const range = this.hasFocus() ? this.getSelectionRange() : null; const selectionStart = range ? this.getCaretOffset() : 0; const selectionEnd = range ? selectionStart + range.toString().length : 0; this.withoutObserving(() => { hidden.forEach(sentence => this.sentenceElements.delete(sentence.id)); const keep = new Set(); this.sentenceElements.forEach(spans => spans.forEach(span => keep.add(span))); this.unwrapSentenceSpans(keep); this.wrapSentences(shown, this.activeSentenceId); }); if (range) { this.setSelectionOffsets(selectionStart, selectionEnd); } this.applyDimming(); } teardownVirtualization() { if (this.blockObserver) { this.blockObserver.disconnect(); this.blockObserver = null; } this.observedBlocks.forEach(element => { element.classList.remove('sentence-highlighter-virtual'); if (element.classList.length === 0) { element.removeAttribute('class'); } }); this.observedBlocks.clear(); this.visibleBlocks.clear(); } restoreCaret(savedCaretOffset, wasFocused) { if (wasFocused) { this.editor.focus(); } try { this.setCaretOffset(savedCaretOffset); } catch (e) { setTimeout(() => { if (wasFocused) { this.editor.focus(); } this.setCaretOffset(savedCaretOffset); }, 0); } Promise.resolve().then(() => { const currentOffset = this.getCaretOffset(); if (Math.abs(currentOffset - savedCaretOffset) > 1 && wasFocused) { this.setCaretOffset(savedCaretOffset); } }); } activateSentence(id) { if (this.activeSentenceId) { this.setSentenceActiveState(this.activeSentenceId, false); } this.activeSentenceId = id; this.setSentenceActiveState(id, true); if (this.usesRangeRenderer()) { this.paintRangeHighlights(); } else { this.applyDimming(); } } usesGraduatedDimming() { return this.options.dimming === 'gradient' || this.options.activeParagraphOpacity !== null; } getSentenceOpacities() { const result = new Map(); const sentences = Array.from(this.sentenceMap.values()); const activeIndex = sentences.findIndex(sentence => sentence.id === this.activeSentenceId); if (activeIndex < 0) return result; const { focusModeDimOpacity, dimmingFalloff, activeParagraphOpacity } = this.options; const activeBlock = sentences[activeIndex].blockIndex; sentences.forEach((sentence, i) => { const distance = Math.abs(i - activeIndex); let opacity = this.options.dimming === 'gradient' ? Math.max(focusModeDimOpacity, 1 - distance * dimmingFalloff) : focusModeDimOpacity; if (activeParagraphOpacity !== null && sentence.blockIndex === activeBlock) { opacity = Math.max(opacity, activeParagraphOpacity); } result.set(sentence.id, { distance: distance, opacity: distance === 0 ? 1 : Math.round(opacity * 100) / 100 }); }); return result; } applyDimming() { if (!this.usesGraduatedDimming()) return; if (this.usesRangeRenderer()) { this.paintRangeHighlights(); return; } this.getSentenceOpacities().forEach(({ distance, opacity }, id) => { (this.sentenceElements.get(id) || []).forEach(element => { element.setAttribute('data-sentence-distance', distance); element.style.setProperty('--sentence-distance', distance); element.style.setProperty('--sentence-opacity', opacity); }); }); } setSentenceActiveState(id, isActive) { const elements = this.sentenceElements.get(id); if (!elements) return; elements.forEach(element => { if (isActive) { element.classList.add(this.options.activeSentenceClass); element.setAttribute(this.options.activeSentenceDataAttribute, 'true'); } else { element.classList.remove(this.options.activeSentenceClass); element.removeAttribute(this.options.activeSentenceDataAttribute); } }); } updateActiveSentenceFromMap(sentences, activeIndex) { if (!this.sentenceElements || activeIndex < 0 || activeIndex >= sentences.length) return; this.activateSentence(sentences[activeIndex].id); } updateActiveSentence() { if (this.isPaused || this.sentenceMap.size === 0) return; const caretOffset = this.getCaretOffset(); const sentences = Array.from(this.sentenceMap.values()); const activeIndex = this.findActiveSentenceIndex(sentences, caretOffset); if (activeIndex < 0) return; const newActiveId = sentences[activeIndex].id; if (newActiveId === this.activeSentenceId) { return; } const previous = this.getActiveSentence(); this.activateSentence(newActiveId); if (!this.sentenceElements.has(newActiveId)) { this.renderVisibleSentences(); } this.notifyActiveChange(previous); if (this.options.autoScroll) { this.scrollCaretIntoView(); } } scrollCaretIntoView() { if (this.isFormControl) return; const range = this.getSelectionRange(); if (!range || !this.editor.contains(range.startContainer)) return; try { const target = this.options.scrollMode === 'sentence-top' ? this.getSentenceRect(this.activeSentenceId) : this.getCaretRect(range); if (!target) return; const container = this.getScrollContainer(); const isPage = this.isPageScrollContainer(container); const view = isPage ? { top: 0, bottom: this.window.innerHeight, height: this.window.innerHeight } : container.getBoundingClientRect(); const margin = this.options.scrollMargin; let delta = 0; switch (this.options.scrollMode) { case 'fixed-line': delta = target.top - (view.top + view.height * this.options.scrollLinePosition); break; case 'keep-visible': if (target.top < view.top + margin) { delta = target.top - (view.top + margin); } else if (target.bottom > view.bottom - margin) { delta = target.bottom - (view.bottom - margin); } break; case 'sentence-top': delta = target.top - (view.top + margin); break; default: delta = target.top + target.height / 2 - (view.top + view.height / 2); } if (Math.abs(delta) < 1) return; (isPage ? this.window : container).scrollBy({ top: delta, behavior: this.options.scrollBehavior }); } catch (e) { return; } this.emit('scroll', { sentence: this.getActiveSentence() }); } getCaretRect(range) { const caretRange = range.cloneRange(); caretRange.collapse(true); const rect = caretRange.getClientRects()[0] || caretRange.getBoundingClientRect(); if (rect && (rect.height > 0 || rect.top !== 0)) { return rect; } const node = caretRange.startContainer; const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement; return element ? element.getBoundingClientRect() : null; } getSentenceRect(id) { const elements = id ? this.sentenceElements.get(id) : null; const range = id ? this.sentenceRanges.get(id) : null; const source = elements && elements[0] ? elements[0] : range; if (!source) return null; return source.getClientRects()[0] || source.getBoundingClientRect(); } getScrollContainer() { if (this.options.scrollContainer) { return this.options.scrollContainer; } for (let element = this.editor; element && element !== this.document.body; element = element.parentElement || element.getRootNode().host) { const overflowY = this.window.getComputedStyle(element).overflowY; if ((overflowY === 'auto' || overflowY === 'scroll') && element.scrollHeight > element.clientHeight) { return element; } } return this.document.scrollingElement || this.document.documentElement; } isPageScrollContainer(container) { return container === this.document.scrollingElement || container === this.document.documentElement || container === this.document.body; } setFocusMode(enabled) { if (enabled === this.focusModeEnabled) return; this.focusModeEnabled = enabled; if (enabled) { this.getHighlightRoot().classList.remove('sentence-highlighter-focus-off'); } else { this.getHighlightRoot().classList.add('sentence-highlighter-focus-off'); } if (this.usesRangeRenderer()) { this.paintRangeHighlights(); } this.emit('focusModeChange', { enabled: enabled }); } setUnit(unit) { this.setOptions({ unit: unit }); } toggleFocusMode() { this.setFocusMode(!this.focusModeEnabled); } getSentences() { return Array.from(this.sentenceMap.values()).map(s => this.copySentence(s)); } getActiveSentence() { if (!this.activeSentenceId) return null; const sentence = this.sentenceMap.get(this.activeSentenceId); return sentence ? this.copySentence(sentence) : null; } getActiveSentenceIndex() { if (!this.activeSentenceId) return -1; const ids = Array.from(this.sentenceMap.keys()); return ids.indexOf(this.activeSentenceId); } toJSON() { return { text: this.getPlainText(), unit: this.options.unit, sentences: Array.from(this.sentenceMap.values()).map(sentence => ({ ...this.copySentence(sentence), blockIndex: sentence.blockIndex })), activeIndex: this.getActiveSentenceIndex(), caret: this.getCaretOffset() }; } loadJSON(data) { if (!data || typeof data.text !== 'string' || !Array.isArray(data.sentences)) { throw new Error('SentenceHighlighter: loadJSON() expects an object returned by toJSON()'); } if (this.managesHistory()) { this.pushHistoryEntry(this.undoStack, this.createHistoryEntry()); this.redoStack = []; this.lastHistoryInput = null; } if (this.isFormControl) { this.editor.value = data.text; } else { this.withoutObserving(() => { this.editor.innerHTML = this.getMarkupFromJSON(data); }); } clearTimeout(this.updateTimer); this.sentenceElements.clear(); this.lastContentHash = null; this.scanAndHighlight(); const sentence = this.resolveSentence(data.activeIndex >= 0 ? data.activeIndex : 0); if (this.hasFocus()) { const caret = typeof data.caret === 'number' ? data.caret : (sentence ? sentence.start : 0); this.setCaretOffset(Math.min(caret, this.getPlainText().length)); this.updateActiveSentence(); } else if (sentence && sentence.id !== this.activeSentenceId) { const previous = this.getActiveSentence(); this.activateSentence(sentence.id); this.notifyActiveChange(previous); } this.isApplyingEdit = true; try { this.editor.dispatchEvent(new this.window.InputEvent('input', { bubbles: true, inputType: 'insertReplacementText' })); } finally { this.isApplyingEdit = false; } } getMarkupFromJSON(data) { const { paragraphTag, headingTag } = this.getBlockTagNames(); const blocks = this.groupSentencesByBlock(data.sentences); if (blocks.length === 0) { return data.text.trim() ? `<${paragraphTag}>${this.escapeMarkup(data.text)}</${paragraphTag}>` : ''; } return blocks.map(block => { const tag = block.isHeading ? headingTag : paragraphTag; const first = block.sentences[0]; const last = block.sentences[block.sentences.length - 1]; return `<${tag}>${this.escapeMarkup(data.text.slice(first.start, last.end))}</${tag}>`; }).join(''); } getBlockTagNames() { return { paragraphTag: this.options.blockTags.includes('p') ? 'p' : (this.options.blockTags[0] || 'div'), headingTag: this.options.headingTags[0] || 'h2' }; } groupSentencesByBlock(sentences) { const blocks = []; let blockIndex = null; sentences.forEach(sentence => { if (blocks.length === 0 || sentence.blockIndex !== blockIndex) { blocks.push({ isHeading: !!sentence.isHeading, sentences: [] }); blockIndex = sentence.blockIndex; } blocks[blocks.length - 1].sentences.push(sentence); }); return blocks; } exportAs(format) { if (!EXPORT_FORMATS.includes(format)) { throw new Error(`SentenceHighlighter: Unknown export format "${format}"`); } const blocks = this.groupSentencesByBlock(Array.from(this.sentenceMap.values())); const clean = sentence => sentence.text.replace(/\s+/g, ' ').trim(); switch (format) { case 'markdown': return blocks.map(block => block.sentences .map(sentence => (block.isHeading ? '# ' : '') + this.escapeMarkdown(clean(sentence))) .join('\n') ).join('\n\n'); case 'html': { const { sentenceClass, sentenceDataAttribute } = this.options; const headingTag = this.options.headingTags[0] || 'h2'; return blocks.map(block => { const tag = block.isHeading ? headingTag : 'p'; const spans = block.sentences.map(sentence => `<span class="${sentenceClass}" ${sentenceDataAttribute}="${sentence.id}">${this.escapeMarkup(clean(sentence))}</span>` ); return `<${tag}>\n${spans.join('\n')}\n</${tag}>`; }).join('\n'); } case 'ssml': { const paragraphs = blocks.map(block => { const sentences = block.sentences.map(sentence => `<s>${this.escapeMarkup(clean(sentence))}</s>`); return `<p>\n${sentences.join('\n')}\n</p>`; }); return `<speak>\n${paragraphs.join('\n')}\n</speak>`; } default: return blocks.map(block => block.sentences.map(clean).join('\n')).join('\n\n'); } } escapeMarkup(text) { return text .replace(/&/g, '&amp;') .replace(/</g, '&lt;') .replace(/>/g, '&gt;') .replace(/"/g, '&quot;'); } escapeMarkdown(text) { return text .replace(/[\\`*_[\]<]/g, '\\$&') .replace(/^([#>+-])/, '\\$1') .replace(/^(\d+)([.)])/, '$1\\$2'); } resolveSentence(indexOrId) { if (typeof indexOrId === 'number') { return Array.from(this.sentenceMap.values())[indexOrId] || null; } return this.sentenceMap.get(indexOrId) || null; } focusRange(start, end) { this.editor.focus({ preventScroll: true }); this.setSelectionOffsets(start, end); clearTimeout(this.updateTimer); this.updateActiveSentence(); } goToSentence(indexOrId) { const sentence = this.resolveSentence(indexOrId); if (!sentence) return false; this.focusRange(sentence.start, sentence.start); return true; } nextSentence() { return this.goToSentence(this.getActiveSentenceIndex() + 1); } previousSentence() { const index = this.getActiveSentenceIndex(); return index > 0 && this.goToSentence(index - 1); } selectSentence(indexOrId) { const sentence = this.resolveSentence(indexOrId); if (!sentence) return false; const end = sentence.start + sentence.text.trimEnd().length; this.focusRange(sentence.start, end); return true; } selectActiveSentence() { return !!this.activeSentenceId && this.selectSentence(this.activeSentenceId); } editText(edits, inputType, caret) { const sorted = edits.slice().sort((a, b) => b.start - a.start); const hadFocus = this.hasFocus(); if (caret === undefined) { const caretOffset = this.getCaretOffset(); caret = caretOffset; edits.forEach(edit => { if (edit.end <= caretOffset) { caret += edit.text.length - (edit.end - edit.start); } else if (edit.start < caretOffset) { caret += edit.start + edit.text.length - caretOffset; } }); } if (this.managesHistory()) { this.pushHistoryEntry(this.undoStack, this.createHistoryEntry()); this.redoStack = []; this.lastHistoryInput = null; } if (this.isFormControl) { let value = this.editor.value; sorted.forEach(edit => { value = value.slice(0, edit.start) + edit.text + value.slice(edit.end); }); this.editor.value = value; } else { this.withoutObserving(() => { sorted.forEach(edit => { const textNodes = this.getTextNodes(); const from = this.findTextPosition(textNodes, edit.start, !!edit.preferPrevious); const to = edit.start === edit.end ? from : this.findTextPosition(textNodes, edit.end, true); if (!from || !to) return; const range = this.document.createRange(); range.setStart(from.node, from.offset); range.setEnd(to.node, to.offset); range.deleteContents(); from.node.insertData(from.offset, edit.text); }); }); } if (hadFocus) { this.setSelectionOffsets(caret, caret); } clearTimeout(this.updateTimer); this.scanAndHighlight(); this.isApplyingEdit = true; try { this.editor.dispatchEvent(new this.window.InputEvent('input', { bubbles: true, inputType: inputType })); } finally { this.isApplyingEdit = false; } } getSentenceSeparator(text) { const trimmed = text.trimEnd(); return FULLWIDTH_TERMINATORS.includes(trimmed[trimmed.length - 1]) ? '' : ' '; } getSentenceRemovalRange(sentence) { let start = sentence.start; if (sentence.text.trimEnd().length === sentence.text.length) { const text = this.getPlainText(); while (start > 0 && (text[start - 1] === ' ' || text[start - 1] === '\t')) { start--; } } return { start: start, end: sentence.end }; } findSentenceTerminator(text) { let closing = text.length; while (closing > 0 && CLOSING_PUNCTUATION.includes(text[closing - 1])) closing--; let core = closing; let ending; while ((ending = this.options.sentenceEndings.find(e => e && text.slice(0, core).endsWith(e)))) { core -= ending.length; } return { core: core, closing: closing }; } replaceSentence(id, text) { const sentence = this.resolveSentence(id); if (!sentence) return false; const end = sentence.start + sentence.text.trimEnd().length; this.editText([{ start: sentence.start, end: end, text: text }], 'insertReplacementText'); return true; } insertSentenceAfter(id, text) { const sentence = this.resolveSentence(id); if (!sentence) return false; const end = sentence.start + sentence.text.trimEnd().length; const separator = this.getSentenceSeparator(sentence.text); this.editText([{ start: end, end: end, text: separator + text, preferPrevious: true }], 'insertText'); return true; } deleteSentence(id) { const sentence = this.resolveSentence(id); if (!sentence) return false; const range = this.getSentenceRemovalRange(sentence); this.editText([{ start: range.start, end: range.end, text: '' }], 'deleteContent'); return true; } moveSentence(id, toIndex) { const sentence = this.resolveSentence(id); if (!sentence) return false; const sentences = Array.from(this.sentenceMap.values()); const others = sentences.filter(other => other.id !== sentence.id); const target = Math.max(0, Math.min(toIndex, others.length)); if (target === sentences.indexOf(sentence)) return true; const body = sentence.text.trimEnd(); const removal = this.getSentenceRemovalRange(sentence); const removedLength = removal.end - removal.start; let insertion; let bodyStart; if (target < others.length) { const at = others[target].start; const separator = sentence.text.slice(body.length) || this.getSentenceSeparator(body); insertion = { start: at, end: at, text: body + separator }; bodyStart = at - (removal.start < at ? removedLength : 0); } else { const last = others[others.length - 1]; const at = last.start + last.text.trimEnd().length; const separator = this.getSentenceSeparator(last.text); insertion = { start: at, end: at, text: separator + body, preferPrevious: true }; bodyStart = at + separator.length - (removal.start < at ? removedLength : 0); } const caretOffset = this.getCaretOffset(); const caret = caretOffset >= sentence.start && caretOffset <= sentence.start + body.length ? bodyStart + caretOffset - sentence.start : undefined; this.editText([{ start: removal.start, end: removal.end, text: '' }, insertion], 'insertFromDrop', caret); return true; } mergeSentences(idA, idB) { let first = this.resolveSentence(idA); let second = this.resolveSentence(idB); if (!first || !second) return false; const sentences = Array.from(this.sentenceMap.values()); if (sentences.indexOf(second) === sentences.indexOf(first) - 1) { [first, second] = [second, first]; } if (sentences.indexOf(second) !== sentences.indexOf(first) + 1) { throw new Error('SentenceHighlighter: Only adjacent sentences can be merged'); } const block = this.getTextBlocks().find(b => first.start >= b.start && first.start < b.end); if (!block || second.start >= block.end) { throw new Error('SentenceHighlighter: Sentences in different blocks cannot be merged'); } const body = first.text.trimEnd(); const { core, closing } = this.findSentenceTerminator(body); this.editText([{ start: first.start + core, end: second.start, text: body.slice(closing) + this.getSentenceSeparator(body), preferPrevious: true }], 'deleteContent'); return true; } splitSentence(id, offset) { const sentence = this.resolveSentence(id); if (!sentence) return false; const body = sentence.text.trimEnd(); const head = body.slice(0, offset).trimEnd(); const tail = body.slice(offset).trimStart(); if (!head || !tail) return false; const { core, closing } = this.findSentenceTerminator(head); const terminator = core < closing ? '' : this.options.sentenceEndings[0]; const first = String.fromCodePoint(tail.codePointAt(0)); this.editText([{ start: sentence.start + head.length, end: sentence.start + body.length - tail.length + first.length, text: terminator + this.getSentenceSeparator(head + terminator) + first.toUpperCase(), preferPrevious: true }], 'insertText'); return true; } copySentence(sentence) { return { id: sentence.id, text: sentence.text, start: sentence.start, end: sentence.end, isHeading: sentence.isHeading }; } validateEvent(event) { if (!EVENTS.includes(event)) { throw new Error(`SentenceHighlighter: Unknown event "${event}"`); } } emit(event, detail) { const handlers = this.listeners.get(event); if (handlers) { handlers.slice().forEach(handler => handler(detail)); } this.editor.dispatchEvent(new this.window.CustomEvent(`sentence-highlighter:${event}`, { bubbles: true, detail: detail })); } on(event, handler) { this.validateEvent(event); if (!this.listeners.has(event)) { this.listeners.set(event, []); } this.listeners.get(event).push(handler); return this; } off(event, handler) { this.validateEvent(event); const handlers = this.listeners.get(event); if (!handlers) return this; if (!handler) { this.listeners.delete(event); return this; } const index = handlers.findIndex(h => h === handler || h.original === handler); if (index >= 0) { handlers.splice(index, 1); } return this; } once(event, handler) { const wrapper = (detail) => { this.off(event, wrapper); handler(detail); }; wrapper.original = handler; return this.on(event, wrapper); } update() { this.scanAndHighlight(); } undo() { if (!this.canUndo()) return false; this.pushHistoryEntry(this.redoStack, this.createHistoryEntry()); this.restoreHistoryEntry(this.undoStack.pop()); return true; } redo() { if (!this.canRedo()) return false; this.pushHistoryEntry(this.undoStack, this.createHistoryEntry()); this.restoreHistoryEntry(this.redoStack.pop()); return true; } canUndo() { return this.managesHistory() && this.undoStack.length > 0; } canRedo() { return this.managesHistory() && this.redoStack.length > 0; } setOptions(options) { const userOptions = { ...this.userOptions, ...options }; const next = this.normalizeOptions(userOptions); this.validateOptions(next); const previous = this.options; const isSame = (a, b) => a === b || (Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((value, i) => value === b[i])); const changed = Object.keys(next).filter(key => !isSame(next[key], previous[key])); this.userOptions = userOptions; if (changed.length === 0) return; if (!this.isInitialized) { this.options = next; this.focusModeEnabled = next.enableFocusMode; return; } if (changed.some(key => REBUILD_OPTIONS.includes(key))) { const { undoStack, redoStack } = this.getPortableHistory(); this.detach(); this.options = next; this.reattach(); this.undoStack = undoStack; this.redoStack = redoStack; } else { this.options = next; } if (changed.includes('enableFocusMode')) { this.setFocusMode(next.enableFocusMode); } if (changed.includes('worker') && !next.worker) { if (this.pendingSegmentation) this.scanAndHighlight(); this.terminateWorker(); } this.writeStyles(); if (changed.some(key => DETECTION_OPTIONS.includes(key))) { this.updateLineObserver(); if (changed.includes('unit')) { this.sentenceElements.clear(); } this.lastContentHash = null; this.scanAndHighlight(); } else if (this.usesRangeRenderer()) { this.paintRangeHighlights(); } else { this.applyDimming(); } } pause() { if (this.isPaused) return; this.isPaused = true; clearTimeout(this.updateTimer); this.disconnectMutations(); } resume() { if (!this.isPaused) return; this.isPaused = false; if (!this.isInitialized) return; if (this.getContentHash() !== this.lastContentHash) { this.hasEdits = true; } this.observeMutations(); this.scanAndHighlight(); } restoreMarkup() { if (this.isFormControl || this.usesRangeRenderer() || this.originalHTML === null) return; const caret = this.hasFocus() ? this.getCaretOffset() : null; if (!this.options.preserveFormatting && !this.hasEdits && this.getPlainText() === this.originalText) { this.editor.innerHTML = this.originalHTML; } else { this.unwrapSentenceMarkup(this.editor); } this.originalHTML = null; this.originalText = null; if (caret !== null) { this.setCaretOffset(caret); } } unwrapSentenceMarkup(root) { const container = root.firstChild; const isFlattened = !this.options.preserveFormatting && root.childNodes.length === 1 && container.nodeType === Node.ELEMENT_NODE && container.classList.contains(this.options.containerClass); if (isFlattened) { const blockOf = node => node.nodeType === Node.ELEMENT_NODE ? node.getAttribute('data-sentence-block') : null; const nodes = Array.from(container.childNodes); if (new Set(nodes.map(blockOf).filter(index => index !== null)).size > 1) { const { paragraphTag, headingTag } = this.getBlockTagNames(); let block = null; let previous = null; nodes.forEach(node => { const index = blockOf(node); if (index === null) { previous = null; return; } if (index !== previous) { const isHeading = node.classList.contains('sentence-highlighter-heading'); block = this.document.createElement(isHeading ? headingTag : paragraphTag); container.insertBefore(block, node); previous = index; } block.appendChild(node); }); } } root.querySelectorAll(`[${this.options.sentenceDataAttribute}]`).forEach(span => { span.replaceWith(...span.childNodes); }); root.querySelectorAll('.sentence-highlighter-virtual').forEach(element => { element.classList.remove('sentence-highlighter-virtual'); if (element.classList.length === 0) { element.removeAttribute('class'); } }); if (isFlattened) { container.replaceWith(...container.childNodes); } root.normalize(); } getPortableHistory() { const strip = entry => { const template = this.document.createElement('template'); template.innerHTML = entry.html; this.unwrapSentenceMarkup(template.content); return { html: template.innerHTML, caret: entry.caret }; }; return { undoStack: this.undoStack.map(strip), redoStack: this.redoStack.map(strip) }; } detach() { if (!this.isInitialized) return; clearTimeout(this.updateTimer); clearTimeout(this.readyTimer); this.readyTimer = null; this.detachEvents(); this.terminateWorker(); const root = this.getHighlightRoot(); if (this.addedContainerClass) { root.classList.remove(this.options.containerClass); } root.classList.remove('sentence-highlighter-focus-off', 'sentence-highlighter-idle'); if (root.classList.length === 0) { root.removeAttribute('class'); } root.removeAttribute('data-sentence-highlighter'); this.removeOverlay(); this.teardownRangeRenderer(); this.teardownVirtualization(); this.restoreMarkup(); this.removeStyles(); this.sentenceMap.clear(); this.sentenceElements.clear(); this.activeSentenceId = null; this.lastContentHash = null; this.isIdle = false; this.undoStack = []; this.redoStack = []; this.lastHistoryInput = null; this.isInitialized = false; } reattach() { this.init(); } destroy() { this.emit('destroy', {}); this.detach(); if (instances.get(this.editor) === this) { instances.delete(this.editor); } this.listeners.clear(); this.isPaused = false; } } SentenceHighlighter.SentenceHighlighter = SentenceHighlighter; if (typeof module !== 'undefined' && module.exports) { module.exports = SentenceHighlighter; } else { window.SentenceHighlighter = SentenceHighlighter; } })(typeof window !== 'undefined' ? window : globalThis);
\ No newline at end of file
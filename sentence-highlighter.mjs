@@ -0,0 +1,5090 @@
+/**
+ * Sentence Highlighter - ES module build
+ *
+ * Generated from sentence-highlighter.js by scripts/build-esm.js; edit the
+ * source and run `npm run build` instead of changing this file.
+ *
+ * @example
+ * import SentenceHighlighter, { segmentSentences } from '@akhildesai20/sentencehighlighter';
+ *
+ * @license MIT
+ * @author AKHIL DESAI <akhil.desai20@gmail.com>
+ */
+
+/**
+ * Abbreviations whose trailing period does not end a sentence (case-insensitive)
+ * @type {string[]}
+ */
+const DEFAULT_ABBREVIATIONS = [
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'rev', 'gen', 'lt', 'sgt', 'capt',
+  'e.g', 'i.e', 'etc', 'vs', 'cf', 'approx', 'viz',
+  'inc', 'ltd', 'corp', 'dept', 'fig', 'vol', 'pp',
+  'jan', 'feb', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec',
+  'a.m', 'p.m'
+];
+
+/** Abbreviations that are also common words, so they only count before a number: "No. 5", "ca. 1850" */
+const NUMBER_ABBREVIATIONS = ['no', 'nos', 'ch', 'mar', 'ca'];
+
+/** Capitalized words that start a new sentence after a single letter rather than continue a name: "Plan B. Then..." */
+const SENTENCE_STARTERS = [
+  'a', 'an', 'and', 'as', 'at', 'but', 'by', 'for', 'from', 'he', 'her', 'here', 'his', 'how', 'i', 'if', 'in',
+  'it', 'its', 'let', 'my', 'no', 'not', 'now', 'of', 'on', 'or', 'our', 'she', 'so', 'that', 'the', 'their',
+  'then', 'there', 'these', 'they', 'this', 'those', 'to', 'we', 'what', 'when', 'where', 'which', 'while',
+  'who', 'why', 'with', 'yes', 'yet', 'you', 'your'
+];
+
+/** Quotes and brackets that may follow a sentence terminator: He said "Stop." */
+const CLOSING_PUNCTUATION = '"\'\u201D\u2019\u00BB)]}\u300D\u300F\uFF09\u3011\u3009\u300B';
+
+/** Quotes and brackets that may precede a word */
+const OPENING_PUNCTUATION = '"\'\u201C\u2018\u00AB([{\u300C\u300E\uFF08\u3010\u3008\u300A';
+
+/** CJK terminators that end a sentence even when no whitespace follows */
+const FULLWIDTH_TERMINATORS = '\u3002\uFF01\uFF1F\uFF0E\uFF61';
+
+/** Strong right-to-left characters (Hebrew, Arabic, Syriac, Thaana, N'Ko and their presentation forms) */
+const RTL_PATTERN = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+
+/** Minimum text similarity (0-1) for an edited sentence to keep its ID */
+const SIMILARITY_THRESHOLD = 0.5;
+
+/** Typing or deleting within this many ms of the last input joins the same undo step */
+const HISTORY_MERGE_DELAY = 1000;
+
+/** Shortcuts used when `keymap` is true, keyed by the method they call */
+const DEFAULT_KEYMAP = {
+  nextSentence: 'Alt+ArrowDown',
+  previousSentence: 'Alt+ArrowUp',
+  selectActiveSentence: 'Alt+Shift+S'
+};
+
+/** Values accepted by the `unit` option */
+const UNITS = ['sentence', 'paragraph', 'line', 'word'];
+
+/** Values accepted by the `scrollMode` option */
+const SCROLL_MODES = ['center', 'fixed-line', 'keep-visible', 'sentence-top'];
+
+/** Events accepted by on()/off()/once(), also dispatched on the editor as `sentence-highlighter:<event>` */
+const EVENTS = ['ready', 'sentencesChanged', 'activeChange', 'rebuild', 'focusModeChange', 'scroll', 'destroy'];
+
+/** Formats accepted by exportAs() */
+const EXPORT_FORMATS = ['text', 'markdown', 'html', 'ssml'];
+
+/** Counter used to give each instance unique highlight names */
+let instanceCounter = 0;
+
+/** Options whose change needs the editor's markup, classes or listeners set up again */
+const REBUILD_OPTIONS = [
+  'sentenceClass', 'activeSentenceClass', 'containerClass', 'sentenceDataAttribute', 'activeSentenceDataAttribute',
+  'renderer', 'preserveFormatting', 'injectStyles', 'dimming', 'activeParagraphOpacity', 'headingTags', 'blockTags',
+  'observeMutations', 'history', 'keymap', 'highlightFocusedOnly', 'virtualize', 'virtualizeMargin'
+];
+
+/** Options whose change needs the sentences detected again */
+const DETECTION_OPTIONS = ['unit', 'sentenceEndings', 'language', 'abbreviations', 'segmenter', 'locale'];
+
+/** Live instances, keyed by their editor element */
+const instances = new Map();
+
+/** Documents with the shared `selectionchange` listener, mapped to the number of instances in them */
+const selectionDocuments = new Map();
+
+/** `<input>` types whose value can be highlighted through the overlay renderer */
+const TEXT_INPUT_TYPES = ['text', 'search', 'url', 'tel'];
+
+/** Computed styles copied from a textarea/input onto its overlay so the text lines up */
+const OVERLAY_STYLE_PROPERTIES = [
+  'boxSizing', 'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'fontVariant', 'fontStretch',
+  'lineHeight', 'letterSpacing', 'wordSpacing', 'textAlign', 'textIndent', 'textTransform', 'direction',
+  'tabSize', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+  'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+  'borderTopStyle', 'borderRightStyle', 'borderBottomStyle', 'borderLeftStyle',
+  'borderRadius', 'backgroundColor', 'color'
+];
+
+/**
+ * Sentence endings per language, keyed by primary language subtag
+ * Selected by the `language` option or the editor's `lang` attribute
+ * when `sentenceEndings` is not given explicitly.
+ * @type {Object<string, string[]>}
+ */
+const LANGUAGE_ENDINGS = {
+  en: ['.', '!', '?'],
+  zh: ['\u3002', '\uFF01', '\uFF1F', '.', '!', '?'],
+  ja: ['\u3002', '\uFF01', '\uFF1F', '\uFF61', '.', '!', '?'],
+  ko: ['.', '!', '?', '\u3002'],
+  hi: ['\u0964', '\u0965', '.', '!', '?'],
+  mr: ['\u0964', '\u0965', '.', '!', '?'],
+  ne: ['\u0964', '\u0965', '.', '!', '?'],
+  sa: ['\u0964', '\u0965'],
+  bn: ['\u0964', '!', '?'],
+  ar: ['.', '!', '\u061F'],
+  fa: ['.', '!', '\u061F'],
+  ur: ['\u06D4', '.', '!', '\u061F'],
+  he: ['.', '!', '?'],
+  el: ['.', '!', ';', '\u037E'],
+  hy: ['\u0589', '!', '?']
+};
+
+/**
+ * @typedef {Object} SentenceHighlighterOptions
+ * @property {string} [sentenceClass='sentence'] - CSS class for all sentence elements
+ * @property {string} [activeSentenceClass='sentence--active'] - CSS class for active sentence
+ * @property {string} [containerClass='paragraph'] - CSS class for container div
+ * @property {string} [sentenceDataAttribute='data-sentence-id'] - Data attribute on sentence spans
+ * @property {string} [activeSentenceDataAttribute='data-sentence-active'] - Data attribute on active sentence
+ * @property {boolean} [enableFocusMode=true] - Enable focus mode (dim non-active sentences)
+ * @property {number} [focusModeDimOpacity=0.18] - Opacity for dimmed sentences (0-1)
+ * @property {string} [dimming='flat'] - 'flat' (every other sentence at `focusModeDimOpacity`) or 'gradient' (sentences fade with their distance from the active one)
+ * @property {number} [dimmingFalloff=0.25] - Opacity lost per sentence of distance with 'gradient' dimming
+ * @property {number|null} [activeParagraphOpacity=null] - Minimum opacity for the other sentences of the active paragraph
+ * @property {boolean} [autoScroll=true] - Auto-scroll to keep the caret in view, as set by `scrollMode`
+ * @property {string} [scrollBehavior='smooth'] - Scroll behavior: 'smooth' or 'auto'
+ * @property {string} [scrollMode='center'] - 'center' (caret line centered), 'fixed-line' (caret line at `scrollLinePosition`), 'keep-visible' (only scroll when the caret comes within `scrollMargin` of an edge) or 'sentence-top' (active sentence's first line `scrollMargin` below the top)
+ * @property {number} [scrollLinePosition=0.5] - Where 'fixed-line' keeps the caret line, as a fraction of the visible height (0 = top, 1 = bottom)
+ * @property {number} [scrollMargin=48] - Margin in px used by 'keep-visible' and 'sentence-top'
+ * @property {HTMLElement|null} [scrollContainer=null] - Element to scroll; defaults to the nearest scrollable ancestor of the editor, or the page
+ * @property {string} [renderer='spans'] - How sentences are rendered: 'spans' wraps them in elements, 'highlight-api' paints them with the CSS Custom Highlight API without touching the editor's DOM
+ * @property {boolean} [preserveFormatting=false] - Wrap sentences in place instead of flattening the editor into a single container (keeps inline markup, paragraphs and lists)
+ * @property {boolean} [virtualize=false] - Only wrap the sentences of blocks near the viewport, dimming off-screen blocks as a whole (needs `preserveFormatting` and IntersectionObserver)
+ * @property {number} [virtualizeMargin=1000] - Distance in px beyond the visible area within which blocks are still wrapped with `virtualize`
+ * @property {boolean} [injectStyles=true] - Inject the default styles (set to false on CSP-restricted pages and provide the rules yourself)
+ * @property {string} [unit='sentence'] - What is highlighted: 'sentence', 'paragraph' (block elements), 'line' (visual lines) or 'word'
+ * @property {string[]} [headingTags=['h1', 'h2', 'h3']] - HTML tags treated as complete sentences
+ * @property {string[]} [blockTags=['p', 'li', 'blockquote', 'div']] - HTML tags that end a sentence even without terminal punctuation
+ * @property {string[]} [sentenceEndings=['.', '!', '?']] - Characters that end sentences (defaults to the preset for `language`)
+ * @property {string} [language] - BCP 47 language tag selecting sentence endings, e.g. 'ja' or 'hi-IN' (defaults to the editor's `lang` attribute)
+ * @property {string[]} [abbreviations] - Abbreviations whose trailing period does not end a sentence, e.g. ['dr', 'e.g'] (defaults to a built-in English list)
+ * @property {string|Function} [segmenter='regex'] - Sentence segmentation strategy: 'regex', 'intl' (Intl.Segmenter) or a custom function (text: string) => Array<{start: number, end: number}>
+ * @property {string} [locale] - Locale passed to Intl.Segmenter when segmenter is 'intl' (defaults to `language`, then the browser locale)
+ * @property {number} [updateDebounce=100] - Debounce time in ms for input events
+ * @property {number} [updateThrottle=50] - Throttle time in ms for navigation events
+ * @property {boolean} [observeMutations=true] - Pick up changes that don't fire `input` (programmatic edits, collaboration, autocomplete) with a MutationObserver
+ * @property {boolean} [worker=false] - Detect sentences in a Web Worker while typing, keeping the main thread free on long documents (falls back to the main thread where workers are unavailable, with a custom segmenter, and for the 'line' unit in contenteditable)
+ * @property {boolean} [history=true] - Keep an undo/redo history that survives rebuilds (contenteditable with the 'spans' renderer)
+ * @property {number} [historyLimit=100] - Maximum number of undo steps kept
+ * @property {boolean} [highlightFocusedOnly=false] - Dim sentences only while the editor has focus; unfocused editors show their text at full opacity
+ * @property {boolean|Object<string, string|null>} [keymap=false] - Keyboard shortcuts for sentence navigation: true for the defaults (Alt+Up/Down, Alt+Shift+S), or an object mapping `nextSentence`, `previousSentence` and `selectActiveSentence` to shortcuts such as 'Ctrl+Shift+ArrowDown' (null disables one)
+ * @property {Function|null} [onSentenceChange] - Callback when sentences change: (sentences: Sentence[]) => void
+ * @property {Function|null} [onActiveSentenceChange] - Callback when active sentence changes: (index: number, sentence: Sentence|null) => void
+ * @property {Function|null} [onSentencesDiff] - Callback when sentences are added, removed, modified or moved: (diff: SentencesDiff) => void
+ */
+
+/**
+ * @typedef {Object} SentencesDiff
+ * @property {string[]} added - IDs of sentences that are new
+ * @property {string[]} removed - IDs of sentences that no longer exist
+ * @property {string[]} modified - IDs of sentences whose text changed (but kept their ID)
+ * @property {string[]} moved - IDs of sentences whose order relative to the others changed
+ */
+
+/**
+ * @typedef {Object} Sentence
+ * @property {string} id - Unique identifier for the sentence
+ * @property {string} text - The sentence text content
+ * @property {number} start - Character offset start position
+ * @property {number} end - Character offset end position
+ * @property {boolean} isHeading - Whether this sentence is a heading
+ */
+
+/**
+ * Create the sentence detection functions
+ * 
+ * Everything they use is declared in here or passed in, so the segmentation
+ * worker can be started from this function's source even after a bundler
+ * has renamed the identifiers.
+ * @param {{CLOSING_PUNCTUATION: string, OPENING_PUNCTUATION: string, FULLWIDTH_TERMINATORS: string, NUMBER_ABBREVIATIONS: string[], SENTENCE_STARTERS: string[]}} constants - Punctuation and word lists the rules need
+ * @returns {{detectSentences: Function, generateSentenceId: Function, simpleHash: Function, snapToCodePoint: Function, splitWords: Function}} The functions used outside detection
+ */
+function createSentenceDetection({ CLOSING_PUNCTUATION, OPENING_PUNCTUATION, FULLWIDTH_TERMINATORS, NUMBER_ABBREVIATIONS, SENTENCE_STARTERS }) {
+  /** Intl.Segmenter instances for sentence detection, keyed by locale */
+  const intlSegmenters = new Map();
+
+  /**
+   * Build the sentence model from text and its blocks
+   * @param {string} text - Plain text
+   * @param {Array<{start: number, end: number, isHeading: boolean}>} blocks - Blocks in order
+   * @param {SentenceHighlighterOptions} options - Complete detection options
+   * @param {Function} [splitLines] - (blockText, block) => ranges, measuring visual lines; without it a block is one line
+   * @returns {Array<Sentence & {blockIndex: number}>} Sentences in order
+   */
+  function detectSentences(text, blocks, options, splitLines) {
+    if (!text.trim()) {
+      return [];
+    }
+    
+    const sentences = [];
+    const usedIds = new Set();
+    const addSentence = (start, end, isHeading, blockIndex) => {
+      const chunk = text.substring(start, end);
+      sentences.push({
+        id: generateSentenceId(chunk, isHeading, usedIds),
+        text: chunk,
+        start: start,
+        end: end,
+        isHeading: isHeading,
+        blockIndex: blockIndex // Used for activeParagraphOpacity
+      });
+    };
+    
+    const unit = options.unit;
+    
+    blocks.forEach((block, blockIndex) => {
+      const blockText = text.substring(block.start, block.end);
+      if (!blockText.trim()) return;
+      
+      let ranges;
+      if (block.isHeading || unit === 'paragraph' || (unit === 'line' && !splitLines)) {
+        // Headings are complete sentences regardless of punctuation and unit;
+        // textarea blocks are already lines
+        const leading = blockText.length - blockText.trimStart().length;
+        ranges = [{ start: leading, end: blockText.length }];
+      } else if (unit === 'word') {
+        ranges = splitWords(blockText, options.locale);
+      } else if (unit === 'line') {
+        ranges = splitLines(blockText, block);
+      } else {
+        ranges = splitSentences(blockText, options);
+      }
+      
+      ranges.forEach(range => {
+        addSentence(block.start + range.start, block.start + range.end, block.isHeading, blockIndex);
+      });
+    });
+    
+    // If no sentences found, treat entire text as one sentence
+    if (sentences.length === 0 && text.trim().length > 0) {
+      addSentence(0, text.length, false, 0);
+    }
+    
+    return sentences;
+  }
+
+  /**
+   * Generate a sentence ID from its content
+   * The ID does not depend on the sentence's position, so the same text
+   * gets the same ID across edits elsewhere and across page loads.
+   * @param {string} text - Sentence text
+   * @param {boolean} isHeading - Whether the sentence is a heading
+   * @param {Set<string>} usedIds - IDs already taken; a numeric suffix is added on collision
+   * @returns {string} A unique sentence ID
+   */
+  function generateSentenceId(text, isHeading, usedIds) {
+    const base = `sentence-${simpleHash(`${text.trim()}-${isHeading}`)}`;
+    let id = base;
+    for (let n = 2; usedIds.has(id); n++) {
+      id = `${base}-${n}`;
+    }
+    usedIds.add(id);
+    return id;
+  }
+
+  /**
+   * Simple hash function for stable IDs
+   */
+  function simpleHash(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+      const char = str.charCodeAt(i);
+      hash = ((hash << 5) - hash) + char;
+      hash = hash & hash; // Convert to 32-bit integer
+    }
+    return Math.abs(hash).toString(36);
+  }
+
+  /**
+   * Move an offset that falls between the halves of a surrogate pair
+   * (emoji, rare CJK ideographs) to the end of that character
+   * @param {string} text - Text the offset refers to
+   * @param {number} offset - UTF-16 offset
+   * @returns {number} An offset on a code point boundary
+   */
+  function snapToCodePoint(text, offset) {
+    const previous = text.charCodeAt(offset - 1);
+    const current = text.charCodeAt(offset);
+    if (previous >= 0xD800 && previous <= 0xDBFF && current >= 0xDC00 && current <= 0xDFFF) {
+      return offset + 1;
+    }
+    return offset;
+  }
+
+  /**
+   * Split a run of text into sentence ranges using the configured segmenter
+   * @param {string} text - Text of a single block
+   * @param {SentenceHighlighterOptions} options - Complete detection options
+   * @returns {Array<{start: number, end: number}>} Ranges relative to the start of `text`
+   * @throws {Error} If a custom segmenter does not return an array
+   */
+  function splitSentences(text, options) {
+    const segmenter = options.segmenter;
+    
+    if (typeof segmenter === 'function') {
+      const ranges = segmenter(text);
+      if (!Array.isArray(ranges)) {
+        throw new Error('SentenceHighlighter: Custom segmenter must return an array of {start, end} ranges');
+      }
+      return normalizeRanges(ranges, text);
+    }
+    
+    if (segmenter === 'intl' && typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+      return splitSentencesIntl(text, options.locale);
+    }
+    
+    return splitSentencesRegex(text, options);
+  }
+
+  /**
+   * Split a run of text into words, each with the punctuation and spaces after it
+   * @param {string} text - Text of a single block
+   * @param {string} [locale] - Locale for Intl.Segmenter
+   * @returns {Array<{start: number, end: number}>} Ranges relative to the start of `text`
+   */
+  function splitWords(text, locale) {
+    const ranges = [];
+    
+    if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+      // Handles scripts without spaces between words (CJK, Thai)
+      const segmenter = new Intl.Segmenter(locale, { granularity: 'word' });
+      let current = null;
+      for (const { segment, index, isWordLike } of segmenter.segment(text)) {
+        if (isWordLike && current && current.hasWord) {
+          ranges.push({ start: current.start, end: current.end });
+          current = null;
+        }
+        if (!current) {
+          current = { start: index, end: index, hasWord: false };
+        }
+        current.end = index + segment.length;
+        current.hasWord = current.hasWord || isWordLike;
+      }
+      if (current) {
+        ranges.push({ start: current.start, end: current.end });
+      }
+      return ranges;
+    }
+    
+    const pattern = /\S+\s*/g;
+    let match;
+    while ((match = pattern.exec(text))) {
+      ranges.push({ start: match.index, end: match.index + match[0].length });
+    }
+    return ranges;
+  }
+
+  /**
+   * Split text into sentence ranges with Intl.Segmenter
+   * @param {string} text - Text of a single block
+   * @param {string} [locale] - Locale for Intl.Segmenter
+   * @returns {Array<{start: number, end: number}>} Ranges relative to the start of `text`
+   */
+  function splitSentencesIntl(text, locale) {
+    const key = locale || '';
+    if (!intlSegmenters.has(key)) {
+      intlSegmenters.set(key, new Intl.Segmenter(locale, { granularity: 'sentence' }));
+    }
+    
+    const ranges = [];
+    for (const { segment, index } of intlSegmenters.get(key).segment(text)) {
+      ranges.push({ start: index, end: index + segment.length });
+    }
+    
+    return normalizeRanges(ranges, text);
+  }
+
+  /**
+   * Sort, clamp and de-overlap ranges from a segmenter, dropping whitespace-only ones
+   * @param {Array<{start: number, end: number}>} ranges - Ranges as returned by the segmenter
+   * @param {string} text - Text the ranges refer to
+   * @returns {Array<{start: number, end: number}>} Clean, ordered, non-overlapping ranges
+   */
+  function normalizeRanges(ranges, text) {
+    const result = [];
+    let lastEnd = 0;
+    
+    ranges
+      .filter(range => range && typeof range.start === 'number' && typeof range.end === 'number')
+      .sort((a, b) => a.start - b.start)
+      .forEach(range => {
+        const start = snapToCodePoint(text, Math.max(range.start, lastEnd, 0));
+        const end = snapToCodePoint(text, Math.min(range.end, text.length));
+        if (end <= start || !text.substring(start, end).trim()) return;
+        
+        result.push({ start: start, end: end });
+        lastEnd = end;
+      });
+    
+    return result;
+  }
+
+  /**
+   * Split text into sentence ranges with the default rules ('regex' strategy)
+   * 
+   * A run of `sentenceEndings` characters ends a sentence only when it is
+   * followed by whitespace or the end of the block, which keeps decimals,
+   * version strings, URLs and email addresses intact. Closing quotes and
+   * brackets after the terminator belong to the sentence, and known
+   * abbreviations, initials and ellipses are not treated as endings.
+   * @param {string} text - Text of a single block
+   * @param {SentenceHighlighterOptions} options - Complete detection options
+   * @returns {Array<{start: number, end: number}>} Ranges relative to the start of `text`
+   */
+  function splitSentencesRegex(text, options) {
+    const endings = options.sentenceEndings;
+    const abbreviations = new Set(
+      options.abbreviations.map(abbreviation => abbreviation.toLowerCase().replace(/\.$/, ''))
+    );
+    const ranges = [];
+    let start = 0;
+    let i = 0;
+    
+    // Walk by code point so that endings outside the BMP (emoji) match too
+    const charAt = index => String.fromCodePoint(text.codePointAt(index));
+    
+    while (i < text.length) {
+      if (!endings.includes(charAt(i))) {
+        i += charAt(i).length;
+        continue;
+      }
+      
+      // Consume the whole terminator ("?!", "...") and any closing quotes/brackets
+      const terminatorStart = i;
+      let lastEnding = '';
+      while (i < text.length && endings.includes(charAt(i))) {
+        lastEnding = charAt(i);
+        i += lastEnding.length;
+      }
+      const terminator = text.substring(terminatorStart, i);
+      while (i < text.length && CLOSING_PUNCTUATION.includes(text[i])) i++;
+      
+      // "3.14", "v2.0.1", "example.com", "a@b.co" - no whitespace after the terminator.
+      // CJK full-width terminators are never followed by a space.
+      if (i < text.length && !/\s/.test(text[i]) && !FULLWIDTH_TERMINATORS.includes(lastEnding)) continue;
+      
+      if (isFalseSentenceEnd(text, terminatorStart, terminator, abbreviations)) continue;
+      
+      while (i < text.length && /\s/.test(text[i])) i++;
+      ranges.push({ start: start, end: i });
+      start = i;
+    }
+    
+    // Handle any remaining text that doesn't end with sentence punctuation
+    if (start < text.length && text.substring(start).trim().length > 0) {
+      ranges.push({ start: start, end: text.length });
+    }
+    
+    return ranges;
+  }
+
+  /**
+   * Check whether a terminator followed by whitespace is not really a sentence end
+   * @param {string} text - Text of the block
+   * @param {number} index - Offset of the first terminator character
+   * @param {string} terminator - The run of terminator characters
+   * @param {Set<string>} abbreviations - Lowercase abbreviations without trailing period
+   * @returns {boolean} true if the terminator should not end the sentence
+   */
+  function isFalseSentenceEnd(text, index, terminator, abbreviations) {
+    // Ellipses trail off rather than end the sentence
+    if (/^\.{3,}$/.test(terminator) || terminator.includes('…')) {
+      return true;
+    }
+    
+    if (terminator !== '.') {
+      return false;
+    }
+    
+    // Token directly before the period, e.g. "Dr", "e.g", "U.S.A", "1"
+    let tokenStart = index;
+    while (tokenStart > 0 && !/\s/.test(text[tokenStart - 1]) && !OPENING_PUNCTUATION.includes(text[tokenStart - 1])) {
+      tokenStart--;
+    }
+    const token = text.substring(tokenStart, index);
+    
+    if (abbreviations.has(token.toLowerCase())) {
+      return true;
+    }
+    
+    // "No. 5", but not "The answer is no. Then..."
+    if (NUMBER_ABBREVIATIONS.includes(token.toLowerCase()) && /^\s+\d/.test(text.substring(index + 1))) {
+      return true;
+    }
+    
+    // Initialisms: "U.S.A."
+    if (/^(?:\p{Lu}\.)+\p{Lu}$/u.test(token)) {
+      return true;
+    }
+    
+    // Initials followed by another initial or a name: "J. R. R. Tolkien", "John F. Kennedy".
+    // Not "So did I. Then..." or "Plan B. Then...".
+    if (/^\p{Lu}$/u.test(token) && token !== 'I') {
+      const next = text.substring(index + 1).match(/^\s+(\p{Lu}(?:\.|\p{Ll}*))/u);
+      if (next && !SENTENCE_STARTERS.includes(next[1].toLowerCase())) {
+        return true;
+      }
+    }
+    
+    // List markers at the start of a block: "1. Buy milk"
+    if (/^\d+$/.test(token) && !text.substring(0, tokenStart).trim()) {
+      return true;
+    }
+    
+    return false;
+  }
+
+  return { detectSentences, generateSentenceId, simpleHash, snapToCodePoint, splitWords };
+}
+
+/** Constants passed to the detection functions, here and in the worker */
+const DETECTION_CONSTANTS = { CLOSING_PUNCTUATION, OPENING_PUNCTUATION, FULLWIDTH_TERMINATORS, NUMBER_ABBREVIATIONS, SENTENCE_STARTERS };
+
+const { detectSentences, generateSentenceId, simpleHash, snapToCodePoint, splitWords } = createSentenceDetection(DETECTION_CONSTANTS);
+
+/**
+ * Fill in defaults for the options that control sentence detection
+ * @param {SentenceHighlighterOptions} options - Options as given; `language` is already resolved
+ * @returns {{unit: string, sentenceEndings: string[], language: string, abbreviations: string[], segmenter: (string|Function), locale: (string|undefined)}} Detection options
+ */
+function normalizeDetectionOptions(options) {
+  const language = options.language || '';
+  const languageEndings = LANGUAGE_ENDINGS[language.toLowerCase().split('-')[0]];
+  
+  return {
+    unit: options.unit || 'sentence',
+    sentenceEndings: options.sentenceEndings || languageEndings || ['.', '!', '?'],
+    language: language,
+    abbreviations: options.abbreviations || DEFAULT_ABBREVIATIONS,
+    segmenter: options.segmenter || 'regex',
+    locale: options.locale || language || undefined
+  };
+}
+
+/**
+ * Check the detection options that only accept known values
+ * @param {SentenceHighlighterOptions} options - Complete options
+ * @returns {void}
+ * @throws {Error} If the segmenter or unit option is unknown
+ */
+function validateDetectionOptions(options) {
+  if (typeof options.segmenter !== 'function' && !['regex', 'intl'].includes(options.segmenter)) {
+    throw new Error(`SentenceHighlighter: Unknown segmenter "${options.segmenter}"`);
+  }
+
+  if (!UNITS.includes(options.unit)) {
+    throw new Error(`SentenceHighlighter: Unknown unit "${options.unit}"`);
+  }
+}
+
+/**
+ * Detect sentences in plain text, without a DOM
+ * 
+ * Blocks are the paragraphs, headings and list items that sentences may not
+ * cross. Pass the text as an array of blocks, or as a string with `blocks`
+ * giving their offsets; a plain string is split into one block per line,
+ * as in a textarea. With the 'line' unit every block is one line.
+ * @param {string|Array<{text: string, isHeading: (boolean|undefined)}>} text - Text, or its blocks (joined with '\n')
+ * @param {SentenceHighlighterOptions & {blocks: (Array<{start: number, end: number, isHeading: (boolean|undefined)}>|undefined)}} [options={}] - Detection options (`unit`, `sentenceEndings`, `language`, `abbreviations`, `segmenter`, `locale`) and `blocks`
+ * @returns {Array<Sentence & {blockIndex: number}>} Sentences with the same offsets and IDs the highlighter gives them
+ * @throws {Error} If the segmenter or unit option is unknown, or a custom segmenter does not return an array
+ */
+function segmentSentences(text, options = {}) {
+  let blocks = options.blocks;
+  
+  if (Array.isArray(text)) {
+    blocks = [];
+    let offset = 0;
+    text.forEach(block => {
+      const blockText = String(block.text);
+      blocks.push({ start: offset, end: offset + blockText.length, isHeading: !!block.isHeading });
+      offset += blockText.length + 1;
+    });
+    text = text.map(block => block.text).join('\n');
+  } else if (!blocks) {
+    blocks = [];
+    let offset = 0;
+    String(text).split('\n').forEach(line => {
+      blocks.push({ start: offset, end: offset + line.length, isHeading: false });
+      offset += line.length + 1;
+    });
+  }
+  
+  const detectionOptions = normalizeDetectionOptions(options);
+  validateDetectionOptions(detectionOptions);
+  
+  return detectSentences(String(text), blocks.map(block => ({ ...block, isHeading: !!block.isHeading })), detectionOptions);
+}
+
+/** Source of the segmentation worker, built on first use */
+let workerSource = null;
+
+/**
+ * Build the source of the segmentation worker from the detection functions
+ * The worker runs detectSentences() with options already normalized on the
+ * main thread, so no extra script file is needed. Both functions are
+ * self-contained, so their source works whatever a minifier renamed.
+ * @returns {string} JavaScript source for a Blob worker
+ */
+function getWorkerSource() {
+  if (workerSource === null) {
+    const detection = `(${createSentenceDetection.toString()})(${JSON.stringify(DETECTION_CONSTANTS)})`;
+    workerSource = `(${runSegmentationWorker.toString()})(${detection}.detectSentences);`;
+  }
+  return workerSource;
+}
+
+/**
+ * Entry point of the segmentation worker (runs inside it, not on the page)
+ * 
+ * Requests are handled on the next task, so one that is superseded by a
+ * newer request or cancelled while still queued is never segmented. Each
+ * reply carries the request's `id`, and either `sentences` or `error`.
+ * @param {Function} detectSentences - detectSentences() from createSentenceDetection()
+ * @returns {void}
+ */
+function runSegmentationWorker(detectSentences) {
+  let pending = null;
+  let isScheduled = false;
+  
+  const run = () => {
+    isScheduled = false;
+    const request = pending;
+    pending = null;
+    if (!request) return;
+    
+    try {
+      self.postMessage({ id: request.id, sentences: detectSentences(request.text, request.blocks, request.options) });
+    } catch (error) {
+      self.postMessage({ id: request.id, error: error.message });
+    }
+  };
+  
+  self.onmessage = event => {
+    const message = event.data;
+    if (message.cancel !== undefined) {
+      if (pending && pending.id === message.cancel) pending = null;
+      return;
+    }
+    
+    pending = message;
+    if (!isScheduled) {
+      isScheduled = true;
+      setTimeout(run, 0);
+    }
+  };
+}
+
+/**
+ * SentenceHighlighter - Main class for sentence-by-sentence highlighting
+ * 
+ * Automatically detects sentences in a contenteditable element and highlights
+ * the sentence containing the caret, dimming all other sentences.
+ * 
+ * @class
+ * @example
+ * const editor = document.getElementById('editor');
+ * const highlighter = new SentenceHighlighter(editor, {
+ *   enableFocusMode: true,
+ *   onActiveSentenceChange: (index, sentence) => {
+ *     console.log(`Sentence ${index + 1}: ${sentence.text}`);
+ *   }
+ * });
+ */
+class SentenceHighlighter {
+  /**
+   * Create a new SentenceHighlighter instance
+   * @param {HTMLElement} editorElement - The contenteditable, textarea or text input element to attach to
+   * @param {SentenceHighlighterOptions} [options={}] - Configuration options
+   * @throws {Error} If editorElement is not valid, or not contenteditable, a textarea or a text input
+   * @throws {Error} If the segmenter option is not a known strategy or a function
+   * @throws {Error} If the renderer option is not 'spans' or 'highlight-api'
+   * @throws {Error} If the dimming option is not 'flat' or 'gradient'
+   * @throws {Error} If the unit option is not 'sentence', 'paragraph', 'line' or 'word'
+   * @throws {Error} If the scrollMode option is not a known mode
+   */
+  constructor(editorElement, options = {}) {
+    // Validate editor element
+    if (!editorElement || !editorElement.nodeType) {
+      throw new Error('SentenceHighlighter: Valid editor element is required');
+    }
+
+    // <textarea> and text <input> are rendered through an overlay behind the element
+    const isFormControl = editorElement.tagName === 'TEXTAREA' ||
+      (editorElement.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes(editorElement.type));
+
+    if (!editorElement.isContentEditable && !isFormControl) {
+      throw new Error('SentenceHighlighter: Element must be contenteditable, a textarea or a text input');
+    }
+
+    this.editor = editorElement;
+    this.isFormControl = isFormControl;
+    
+    // The editor may live in an iframe, so use its own document and window
+    this.document = editorElement.ownerDocument || document;
+    this.window = this.document.defaultView || window;
+    
+    this.userOptions = { ...options }; // As given, so setOptions() can derive defaults again
+    this.options = this.normalizeOptions(this.userOptions);
+    this.validateOptions(this.options);
+
+    // Virtual Sentence Model (data structure - not tied to DOM)
+    this.sentenceMap = new Map(); // Maps sentence IDs to sentence metadata
+    this.sentenceElements = new Map(); // Maps sentence IDs to their DOM elements (one or more fragments)
+    this.activeSentenceId = null;
+    
+    // State
+    this.isInitialized = false;
+    this.updateTimer = null;
+    this.lastContentHash = null;
+    this.focusModeEnabled = this.options.enableFocusMode;
+    this.lastRebuildTime = 0;
+    this.isRebuilding = false;
+    this.isIdle = false; // Unfocused, with highlightFocusedOnly
+    this.isPaused = false;
+    this.readyTimer = null;
+    
+    // Markup to restore on detach(), captured by init()
+    this.originalHTML = null;
+    this.originalText = null;
+    this.hasEdits = false; // Content changed since init(), by the user or a script
+    this.addedContainerClass = false;
+    
+    // External change detection
+    this.mutationObserver = null;
+    this.mutationFrame = null;
+    this.isHandlingInput = false;
+    this.isApplyingEdit = false; // Set while an editing method dispatches its `input` event
+
+    // Event handlers registered with on()/once()
+    this.listeners = new Map(); // Maps event names to arrays of handlers
+
+    // Undo history (snapshots of the editor's markup and caret)
+    this.undoStack = [];
+    this.redoStack = [];
+    this.lastHistoryInput = null; // Kind and time of the last recorded input
+
+    // Styles scoped to this instance
+    this.instanceId = ++instanceCounter;
+    this.styleSheet = null; // Constructable style sheet, where supported
+    this.styleTarget = null; // Document or shadow root that adopted it
+    this.styleElement = null; // <style> fallback
+
+    // Range renderer ('highlight-api')
+    this.sentenceRanges = new Map(); // Maps sentence IDs to live Range objects
+    this.highlightRules = ''; // ::highlight() rules, appended to the instance's styles
+    this.highlightTextColor = null;
+    this.highlightLevels = new Set(); // Dim opacities that have a ::highlight() rule
+    this.paintedHighlights = new Set(); // Highlight names currently registered
+    this.sharedRanges = new Map(); // Ranges this instance added to the shared highlights, by name
+    this.rectLayer = null;
+
+    // Segmentation worker (`worker` option)
+    this.worker = null;
+    this.workerURL = null;
+    this.workerFailed = false; // Set when the worker can't be created or fails to load
+    this.segmentationId = 0;
+    this.pendingSegmentation = null; // Request awaiting a reply: {id, contentHash, callbacks}
+
+    // Viewport virtualization (`virtualize` option)
+    this.blockObserver = null; // IntersectionObserver on the block elements
+    this.observedBlocks = new Set();
+    this.visibleBlocks = new Set(); // Blocks within `virtualizeMargin` of the visible area
+
+    // Visual lines depend on the editor's width ('line' unit)
+    this.lineResizeObserver = null;
+    this.lineWidth = 0;
+
+    // Overlay renderer (textarea/input only)
+    this.overlay = null;
+    this.overlayResizeObserver = null;
+    this.savedEditorStyle = null;
+
+    // Registry for getInstance(); detached instances stay in it until destroy()
+    instances.set(this.editor, this);
+
+    // Bind methods
+    this.handleInput = this.handleInput.bind(this);
+    this.handleMutations = this.handleMutations.bind(this);
+    this.handleBeforeInput = this.handleBeforeInput.bind(this);
+    this.handleHistoryKeydown = this.handleHistoryKeydown.bind(this);
+    this.handleKeymap = this.handleKeymap.bind(this);
+    this.handleNavigation = this.handleNavigation.bind(this);
+    this.handleCaretMove = this.handleCaretMove.bind(this);
+    this.handleFocusChange = this.handleFocusChange.bind(this);
+    this.handleEndingKeydown = this.handleEndingKeydown.bind(this);
+    this.handleNavigationKeyup = this.handleNavigationKeyup.bind(this);
+    this.positionOverlay = this.positionOverlay.bind(this);
+    this.syncOverlayScroll = this.syncOverlayScroll.bind(this);
+    this.paintRangeHighlights = this.paintRangeHighlights.bind(this);
+    this.handleWorkerMessage = this.handleWorkerMessage.bind(this);
+    this.handleWorkerError = this.handleWorkerError.bind(this);
+    this.handleBlockVisibility = this.handleBlockVisibility.bind(this);
+    
+    // Initialize
+    this.init();
+  }
+
+  /**
+   * Fill in defaults for the options given to the constructor or setOptions()
+   * @private
+   * @param {SentenceHighlighterOptions} options - Options as given
+   * @returns {SentenceHighlighterOptions} Complete options
+   */
+  normalizeOptions(options) {
+    const language = options.language || this.getEditorLanguage();
+    
+    return {
+      // CSS class names
+      sentenceDataAttribute: options.sentenceDataAttribute || 'data-sentence-id',
+      activeSentenceDataAttribute: options.activeSentenceDataAttribute || 'data-sentence-active',
+      containerClass: options.containerClass || 'paragraph',
+      sentenceClass: options.sentenceClass || 'sentence',
+      activeSentenceClass: options.activeSentenceClass || 'sentence--active',
+      
+      // Behavior options
+      enableFocusMode: options.enableFocusMode !== false, // default true
+      focusModeDimOpacity: options.focusModeDimOpacity || 0.18,
+      dimming: options.dimming || 'flat',
+      dimmingFalloff: options.dimmingFalloff || 0.25,
+      activeParagraphOpacity: options.activeParagraphOpacity !== undefined ? options.activeParagraphOpacity : null,
+      autoScroll: options.autoScroll !== false, // default true
+      scrollBehavior: options.scrollBehavior || 'smooth',
+      scrollMode: options.scrollMode || 'center',
+      scrollLinePosition: options.scrollLinePosition !== undefined ? options.scrollLinePosition : 0.5,
+      scrollMargin: options.scrollMargin !== undefined ? options.scrollMargin : 48,
+      scrollContainer: options.scrollContainer || null,
+      renderer: options.renderer || 'spans',
+      preserveFormatting: options.preserveFormatting === true, // default false
+      virtualize: options.virtualize === true, // default false
+      virtualizeMargin: options.virtualizeMargin !== undefined ? options.virtualizeMargin : 1000,
+      injectStyles: options.injectStyles !== false, // default true
+      
+      // Sentence detection
+      ...normalizeDetectionOptions({ ...options, language: language }),
+      headingTags: options.headingTags || ['h1', 'h2', 'h3'],
+      blockTags: options.blockTags || ['p', 'li', 'blockquote', 'div'],
+      
+      // Performance
+      updateDebounce: options.updateDebounce || 100,
+      updateThrottle: options.updateThrottle || 50,
+      observeMutations: options.observeMutations !== false, // default true
+      worker: options.worker === true, // default false
+      history: options.history !== false, // default true
+      historyLimit: options.historyLimit || 100,
+      keymap: options.keymap || false,
+      highlightFocusedOnly: options.highlightFocusedOnly === true, // default false
+      
+      // Callbacks
+      onSentenceChange: options.onSentenceChange || null,
+      onActiveSentenceChange: options.onActiveSentenceChange || null,
+      onSentencesDiff: options.onSentencesDiff || null,
+      
+      ...options
+    };
+  }
+
+  /**
+   * Check options that only accept known values
+   * @private
+   * @param {SentenceHighlighterOptions} options - Complete options
+   * @returns {void}
+   * @throws {Error} If the segmenter, renderer, dimming, unit or scrollMode option is unknown
+   */
+  validateOptions(options) {
+    validateDetectionOptions(options);
+
+    if (!['spans', 'highlight-api'].includes(options.renderer)) {
+      throw new Error(`SentenceHighlighter: Unknown renderer "${options.renderer}"`);
+    }
+
+    if (!['flat', 'gradient'].includes(options.dimming)) {
+      throw new Error(`SentenceHighlighter: Unknown dimming "${options.dimming}"`);
+    }
+
+    if (!SCROLL_MODES.includes(options.scrollMode)) {
+      throw new Error(`SentenceHighlighter: Unknown scrollMode "${options.scrollMode}"`);
+    }
+  }
+
+  /**
+   * Initialize the highlighter
+   * @private
+   * @returns {void}
+   */
+  init() {
+    if (this.isInitialized) return;
+
+    // Remember the markup so detach() can put it back
+    if (!this.isFormControl && !this.usesRangeRenderer()) {
+      this.originalHTML = this.editor.innerHTML;
+      this.originalText = this.getPlainText();
+      this.hasEdits = false;
+    }
+
+    if (this.isFormControl) {
+      this.createOverlay();
+    } else if (this.usesRangeRenderer()) {
+      this.setupRangeRenderer();
+    }
+
+    // Inject this instance's styles
+    this.injectCSS();
+
+    // Mark editor (or its overlay) with identifier
+    this.addedContainerClass = !this.getHighlightRoot().classList.contains(this.options.containerClass);
+    this.getHighlightRoot().classList.add(this.options.containerClass);
+    if (!this.focusModeEnabled) {
+      this.getHighlightRoot().classList.add('sentence-highlighter-focus-off');
+    }
+    if (this.options.highlightFocusedOnly && !this.hasFocus()) {
+      this.isIdle = true;
+      this.getHighlightRoot().classList.add('sentence-highlighter-idle');
+    }
+
+    // Set up event listeners
+    this.attachEvents();
+    this.observeMutations();
+    this.updateLineObserver();
+
+    // Initial scan and highlight (with small delay to ensure DOM is ready)
+    this.readyTimer = setTimeout(() => {
+      this.readyTimer = null;
+      this.requestScan(() => {
+        this.emit('ready', { sentences: this.getSentences() });
+      });
+    }, 10);
+
+    this.isInitialized = true;
+  }
+
+  /**
+   * Get the element that holds the sentence spans and the container classes
+   * @private
+   * @returns {HTMLElement} The overlay for textarea/input, otherwise the editor itself
+   */
+  getHighlightRoot() {
+    return this.overlay || this.editor;
+  }
+
+  /**
+   * Create the overlay that renders sentences behind a textarea or input
+   * 
+   * The overlay copies the element's box and text metrics and shows the
+   * text with sentence spans, while the element's own text is made
+   * transparent (the caret and selection stay visible).
+   * @private
+   * @returns {void}
+   */
+  createOverlay() {
+    const computed = this.window.getComputedStyle(this.editor);
+    const overlay = this.document.createElement('div');
+    overlay.className = 'sentence-highlighter-overlay';
+    overlay.setAttribute('aria-hidden', 'true');
+    
+    OVERLAY_STYLE_PROPERTIES.forEach(property => {
+      overlay.style[property] = computed[property];
+    });
+    overlay.style.position = 'absolute';
+    overlay.style.margin = '0';
+    overlay.style.overflow = 'hidden';
+    overlay.style.pointerEvents = 'none';
+    overlay.style.borderColor = 'transparent';
+    overlay.style.whiteSpace = this.editor.tagName === 'TEXTAREA' ? 'pre-wrap' : 'pre';
+    overlay.style.overflowWrap = 'break-word';
+    
+    // Keep the element on top of the overlay, with only its caret visible
+    this.savedEditorStyle = this.editor.getAttribute('style');
+    if (computed.position === 'static') {
+      this.editor.style.position = 'relative';
+    }
+    this.editor.style.caretColor = computed.color;
+    this.editor.style.color = 'transparent';
+    this.editor.style.backgroundColor = 'transparent';
+    
+    this.editor.parentNode.insertBefore(overlay, this.editor);
+    this.overlay = overlay;
+    this.positionOverlay();
+    
+    this.editor.addEventListener('scroll', this.syncOverlayScroll);
+    this.window.addEventListener('resize', this.positionOverlay);
+    if (typeof ResizeObserver !== 'undefined') {
+      this.overlayResizeObserver = new ResizeObserver(this.positionOverlay);
+      this.overlayResizeObserver.observe(this.editor);
+    }
+  }
+
+  /**
+   * Align the overlay with the element's current box
+   * @private
+   * @returns {void}
+   */
+  positionOverlay() {
+    if (!this.overlay) return;
+    
+    const computed = this.window.getComputedStyle(this.editor);
+    const scrollbarWidth = Math.max(0, this.editor.offsetWidth - this.editor.clientWidth -
+      parseFloat(computed.borderLeftWidth) - parseFloat(computed.borderRightWidth));
+    
+    this.overlay.style.boxSizing = 'border-box';
+    this.overlay.style.top = `${this.editor.offsetTop}px`;
+    this.overlay.style.left = `${this.editor.offsetLeft}px`;
+    this.overlay.style.width = `${this.editor.offsetWidth}px`;
+    this.overlay.style.height = `${this.editor.offsetHeight}px`;
+    // Text wraps before the element's scrollbar, so the overlay must too
+    this.overlay.style.paddingRight = `calc(${computed.paddingRight} + ${scrollbarWidth}px)`;
+    
+    this.syncOverlayScroll();
+  }
+
+  /**
+   * Mirror the element's scroll position onto the overlay
+   * @private
+   * @returns {void}
+   */
+  syncOverlayScroll() {
+    if (!this.overlay) return;
+    this.overlay.scrollTop = this.editor.scrollTop;
+    this.overlay.scrollLeft = this.editor.scrollLeft;
+  }
+
+  /**
+   * Remove the overlay and restore the element's inline styles
+   * @private
+   * @returns {void}
+   */
+  removeOverlay() {
+    if (!this.overlay) return;
+    
+    this.editor.removeEventListener('scroll', this.syncOverlayScroll);
+    this.window.removeEventListener('resize', this.positionOverlay);
+    if (this.overlayResizeObserver) {
+      this.overlayResizeObserver.disconnect();
+      this.overlayResizeObserver = null;
+    }
+    
+    if (this.overlay.parentNode) {
+      this.overlay.parentNode.removeChild(this.overlay);
+    }
+    this.overlay = null;
+    
+    if (this.savedEditorStyle === null) {
+      this.editor.removeAttribute('style');
+    } else {
+      this.editor.setAttribute('style', this.savedEditorStyle);
+    }
+  }
+
+  /**
+   * Inject this instance's styles next to the editor
+   * 
+   * Rules are scoped to the highlight root through its
+   * `data-sentence-highlighter` attribute, so instances with different
+   * options don't share styles. Theme values go through CSS custom
+   * properties, with the options as fallbacks.
+   * @private
+   * @returns {void}
+   */
+  injectCSS() {
+    this.getHighlightRoot().setAttribute('data-sentence-highlighter', this.instanceId);
+    this.writeStyles();
+  }
+
+  /**
+   * Get the CSS rules for this instance
+   * @private
+   * @returns {string} Style sheet text
+   */
+  getStyleRules() {
+    const { containerClass, sentenceClass, activeSentenceClass, activeSentenceDataAttribute, focusModeDimOpacity } = this.options;
+    const root = `.${containerClass}[data-sentence-highlighter="${this.instanceId}"]`;
+    const sentence = `${root} .${sentenceClass}`;
+    
+    return `
+      ${sentence} {
+        opacity: var(--sh-dim-opacity, ${focusModeDimOpacity});
+        transition: var(--sh-transition, opacity 0.18s ease, color 0.18s ease);
+      }
+      
+      ${sentence}[data-sentence-distance] {
+        opacity: var(--sentence-opacity);
+      }
+      
+      ${sentence}.${activeSentenceClass},
+      ${sentence}[${activeSentenceDataAttribute}] {
+        opacity: 1 !important;
+        color: var(--sh-active-color, inherit);
+      }
+      
+      ${root} .sentence-highlighter-block {
+        display: block;
+      }
+      
+      ${root} .sentence-highlighter-virtual {
+        opacity: var(--sh-dim-opacity, ${focusModeDimOpacity});
+      }
+      
+      .sentence-highlighter-focus-off ${sentence},
+      ${root}.sentence-highlighter-focus-off .${sentenceClass},
+      ${root}.sentence-highlighter-idle .${sentenceClass},
+      ${root}.sentence-highlighter-focus-off .sentence-highlighter-virtual,
+      ${root}.sentence-highlighter-idle .sentence-highlighter-virtual {
+        opacity: 1;
+      }
+    ` + this.highlightRules;
+  }
+
+  /**
+   * Write this instance's rules to its style sheet, creating it on first use
+   * 
+   * The sheet goes into the editor's shadow root when it has one, otherwise
+   * into the document. Constructable style sheets are used where supported
+   * (they are not blocked by a CSP without 'unsafe-inline'), with a
+   * `<style>` element as the fallback.
+   * @private
+   * @returns {void}
+   */
+  writeStyles() {
+    if (!this.options.injectStyles) return;
+    
+    const css = this.getStyleRules();
+    if (this.styleSheet) {
+      this.styleSheet.replaceSync(css);
+      return;
+    }
+    if (this.styleElement) {
+      this.styleElement.textContent = css;
+      return;
+    }
+    
+    const root = this.editor.getRootNode();
+    const isShadowRoot = root.nodeType === Node.DOCUMENT_FRAGMENT_NODE && !!root.host;
+    const target = isShadowRoot ? root : this.document;
+    const { CSSStyleSheet } = this.window;
+    
+    // Sheets can only be adopted by documents of the window that constructed them
+    if ('adoptedStyleSheets' in target && typeof CSSStyleSheet !== 'undefined' && 'replaceSync' in CSSStyleSheet.prototype) {
+      try {
+        const sheet = new CSSStyleSheet();
+        sheet.replaceSync(css);
+        target.adoptedStyleSheets = [...target.adoptedStyleSheets, sheet];
+        this.styleSheet = sheet;
+        this.styleTarget = target;
+        return;
+      } catch (e) {
+        // Not constructable here; use a <style> element
+      }
+    }
+    
+    this.styleElement = this.document.createElement('style');
+    this.styleElement.setAttribute('data-sentence-highlighter-styles', this.instanceId);
+    this.styleElement.textContent = css;
+    (isShadowRoot ? root : this.document.head).appendChild(this.styleElement);
+  }
+
+  /**
+   * Remove this instance's style sheet
+   * @private
+   * @returns {void}
+   */
+  removeStyles() {
+    if (this.styleSheet) {
+      this.styleTarget.adoptedStyleSheets = this.styleTarget.adoptedStyleSheets.filter(sheet => sheet !== this.styleSheet);
+      this.styleSheet = null;
+      this.styleTarget = null;
+    }
+    if (this.styleElement) {
+      if (this.styleElement.parentNode) {
+        this.styleElement.parentNode.removeChild(this.styleElement);
+      }
+      this.styleElement = null;
+    }
+  }
+
+  /**
+   * Attach event listeners for input, navigation, and selection changes
+   * @private
+   * @returns {void}
+   */
+  attachEvents() {
+    // Input events (typing, pasting, etc.)
+    this.editor.addEventListener('input', this.handleInput);
+    
+    // Rebuilds clear the browser's undo stack, so undo/redo go through our own history
+    if (this.managesHistory()) {
+      this.editor.addEventListener('beforeinput', this.handleBeforeInput);
+      this.editor.addEventListener('keydown', this.handleHistoryKeydown);
+    }
+    
+    // Immediate update for sentence-ending characters
+    this.editor.addEventListener('keydown', this.handleEndingKeydown);
+    
+    // Sentence navigation shortcuts (opt-in)
+    if (this.options.keymap) {
+      this.editor.addEventListener('keydown', this.handleKeymap);
+    }
+    
+    // Navigation events
+    this.editor.addEventListener('click', this.handleNavigation);
+    this.editor.addEventListener('keyup', this.handleNavigationKeyup);
+
+    // Selection changes (caret moves), through one listener per document
+    this.addSelectionListener();
+    
+    // Only the focused editor is dimmed
+    if (this.options.highlightFocusedOnly) {
+      this.editor.addEventListener('focusin', this.handleFocusChange);
+      this.editor.addEventListener('focusout', this.handleFocusChange);
+    }
+
+    // Focus/blur
+    this.editor.addEventListener('focus', this.handleNavigation);
+  }
+
+  /**
+   * Remove every listener and observer added by attachEvents() and init()
+   * @private
+   * @returns {void}
+   */
+  detachEvents() {
+    this.disconnectMutations();
+    if (this.lineResizeObserver) {
+      this.lineResizeObserver.disconnect();
+      this.lineResizeObserver = null;
+    }
+    
+    this.editor.removeEventListener('input', this.handleInput);
+    this.editor.removeEventListener('beforeinput', this.handleBeforeInput);
+    this.editor.removeEventListener('keydown', this.handleHistoryKeydown);
+    this.editor.removeEventListener('keydown', this.handleEndingKeydown);
+    this.editor.removeEventListener('keydown', this.handleKeymap);
+    this.editor.removeEventListener('click', this.handleNavigation);
+    this.editor.removeEventListener('keyup', this.handleNavigationKeyup);
+    this.editor.removeEventListener('focusin', this.handleFocusChange);
+    this.editor.removeEventListener('focusout', this.handleFocusChange);
+    this.editor.removeEventListener('focus', this.handleNavigation);
+    this.removeSelectionListener();
+  }
+
+  /**
+   * Re-scan right after a sentence-ending character is typed instead of waiting for the debounce
+   * @private
+   * @param {KeyboardEvent} e - keydown event
+   * @returns {void}
+   */
+  handleEndingKeydown(e) {
+    if (!this.options.sentenceEndings.includes(e.key)) return;
+    
+    // Clear any pending debounced update
+    clearTimeout(this.updateTimer);
+    // Use requestAnimationFrame for immediate update after character is inserted
+    requestAnimationFrame(() => {
+      requestAnimationFrame(() => {
+        this.requestScan();
+      });
+    });
+  }
+
+  /**
+   * Update the active sentence after a navigation key moves the caret
+   * @private
+   * @param {KeyboardEvent} e - keyup event
+   * @returns {void}
+   */
+  handleNavigationKeyup(e) {
+    const navigationKeys = [
+      'ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown',
+      'Home', 'End', 'PageUp', 'PageDown'
+    ];
+    if (navigationKeys.includes(e.key)) {
+      this.handleNavigation();
+    }
+  }
+
+  /**
+   * Handle input events with smart debouncing
+   * Updates immediately when sentence boundaries change
+   * @private
+   * @returns {void}
+   */
+  handleInput() {
+    this.hasEdits = true;
+    
+    // Editing methods have already re-scanned the content
+    if (this.isApplyingEdit || this.isPaused) return;
+    
+    // The DOM changes behind this event are handled here, not by the MutationObserver.
+    // Its callback is already queued as a microtask, so it runs before this flag is reset.
+    this.isHandlingInput = true;
+    Promise.resolve().then(() => {
+      this.isHandlingInput = false;
+    });
+    
+    const text = this.getPlainText();
+    const caretOffset = this.getCaretOffset();
+    
+    // Check if we're at or just after a sentence boundary
+    let shouldUpdateImmediately = false;
+    
+    // Check if we just typed a sentence ending character
+    if (caretOffset > 0) {
+      const charAtCaret = text[caretOffset - 1];
+      if (this.options.sentenceEndings.includes(charAtCaret)) {
+        shouldUpdateImmediately = true;
+      }
+    }
+    
+    // Check if we're typing right after a sentence ending
+    if (!shouldUpdateImmediately && caretOffset > 1) {
+      const charBefore = text[caretOffset - 2];
+      if (this.options.sentenceEndings.includes(charBefore)) {
+        shouldUpdateImmediately = true;
+      }
+    }
+    
+    // Check if sentence count changed (new sentence created); too slow to do here
+    // on documents large enough to need the worker
+    if (!shouldUpdateImmediately && this.sentenceMap.size > 0 && !this.usesWorker()) {
+      const currentSentences = this.buildSentenceMap();
+      if (currentSentences.length !== this.sentenceMap.size) {
+        shouldUpdateImmediately = true;
+      }
+    }
+    
+    clearTimeout(this.updateTimer);
+    
+    if (shouldUpdateImmediately) {
+      // Use requestAnimationFrame for immediate, smooth update
+      requestAnimationFrame(() => {
+        this.requestScan();
+      });
+    } else {
+      // Normal debounce for regular typing within same sentence
+      this.updateTimer = setTimeout(() => {
+        this.requestScan();
+      }, this.options.updateDebounce);
+    }
+  }
+
+  /**
+   * Check whether undo/redo go through the library's own history
+   * Textareas, inputs and the 'highlight-api' renderer never modify the
+   * editor's DOM, so they keep the browser's native undo.
+   * @private
+   * @returns {boolean} true if the history stacks are in use
+   */
+  managesHistory() {
+    return this.options.history && !this.isFormControl && !this.usesRangeRenderer();
+  }
+
+  /**
+   * Record an undo step before the browser applies an edit
+   * Runs of typing or deleting are merged into one step until they pause.
+   * @private
+   * @param {InputEvent} e - The beforeinput event
+   * @returns {void}
+   */
+  handleBeforeInput(e) {
+    if (e.inputType === 'historyUndo' || e.inputType === 'historyRedo') {
+      e.preventDefault();
+      if (e.inputType === 'historyUndo') {
+        this.undo();
+      } else {
+        this.redo();
+      }
+      return;
+    }
+    
+    let kind = e.inputType;
+    if (kind === 'insertText' || kind === 'insertCompositionText') {
+      kind = 'insert';
+    } else if (kind.startsWith('delete')) {
+      kind = 'delete';
+    }
+    
+    const now = Date.now();
+    const last = this.lastHistoryInput;
+    const merges = last && last.kind === kind && (kind === 'insert' || kind === 'delete') &&
+      now - last.time < HISTORY_MERGE_DELAY;
+    
+    if (!merges) {
+      this.pushHistoryEntry(this.undoStack, this.createHistoryEntry());
+    }
+    this.redoStack = [];
+    this.lastHistoryInput = { kind: kind, time: now };
+  }
+
+  /**
+   * Handle the undo/redo shortcuts (Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z, Ctrl+Y)
+   * The native undo stack no longer matches the DOM after a rebuild, so the
+   * shortcuts are taken over rather than waiting for `beforeinput`.
+   * @private
+   * @param {KeyboardEvent} e - The keydown event
+   * @returns {void}
+   */
+  handleHistoryKeydown(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    
+    const key = e.key.toLowerCase();
+    const isUndo = key === 'z' && !e.shiftKey;
+    const isRedo = (key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey);
+    if (!isUndo && !isRedo) return;
+    
+    e.preventDefault();
+    if (isUndo) {
+      this.undo();
+    } else {
+      this.redo();
+    }
+  }
+
+  /**
+   * Run the navigation method bound to a pressed shortcut
+   * @private
+   * @param {KeyboardEvent} e - The keydown event
+   * @returns {void}
+   */
+  handleKeymap(e) {
+    const keymap = this.options.keymap === true ? DEFAULT_KEYMAP : { ...DEFAULT_KEYMAP, ...this.options.keymap };
+    
+    for (const action of Object.keys(DEFAULT_KEYMAP)) {
+      if (keymap[action] && this.matchesShortcut(e, keymap[action])) {
+        e.preventDefault();
+        this[action]();
+        return;
+      }
+    }
+  }
+
+  /**
+   * Check whether a keyboard event matches a shortcut such as 'Alt+Shift+S'
+   * Modifiers must match exactly. Letters are compared by physical key, so
+   * shortcuts still work where Alt changes the character typed (macOS).
+   * @private
+   * @param {KeyboardEvent} e - The keydown event
+   * @param {string} shortcut - Modifiers (Ctrl, Alt, Shift, Meta/Cmd) and a key name, joined by '+'
+   * @returns {boolean} true if the event matches
+   */
+  matchesShortcut(e, shortcut) {
+    const parts = shortcut.split('+').map(part => part.trim());
+    const key = parts.pop();
+    const modifiers = parts.map(part => part.toLowerCase());
+    
+    if (e.ctrlKey !== modifiers.includes('ctrl') ||
+        e.altKey !== modifiers.includes('alt') ||
+        e.shiftKey !== modifiers.includes('shift') ||
+        e.metaKey !== (modifiers.includes('meta') || modifiers.includes('cmd'))) {
+      return false;
+    }
+    
+    if (/^[a-z]$/i.test(key)) {
+      return e.code === `Key${key.toUpperCase()}` || e.key.toLowerCase() === key.toLowerCase();
+    }
+    return e.key === key;
+  }
+
+  /**
+   * Capture the editor's markup and caret position
+   * @private
+   * @returns {{html: string, caret: number}} History entry
+   */
+  createHistoryEntry() {
+    return { html: this.editor.innerHTML, caret: this.getCaretOffset() };
+  }
+
+  /**
+   * Push an entry onto a history stack, dropping the oldest beyond `historyLimit`
+   * @private
+   * @param {Array<{html: string, caret: number}>} stack - The undo or redo stack
+   * @param {{html: string, caret: number}} entry - Entry to push
+   * @returns {void}
+   */
+  pushHistoryEntry(stack, entry) {
+    const top = stack[stack.length - 1];
+    if (top && top.html === entry.html) return;
+    
+    stack.push(entry);
+    if (stack.length > this.options.historyLimit) {
+      stack.shift();
+    }
+  }
+
+  /**
+   * Put a history entry back into the editor and re-highlight it
+   * @private
+   * @param {{html: string, caret: number}} entry - Entry to restore
+   * @returns {void}
+   */
+  restoreHistoryEntry(entry) {
+    clearTimeout(this.updateTimer);
+    this.withoutObserving(() => {
+      this.editor.innerHTML = entry.html;
+    });
+    
+    // Only move the caret if the user is in the editor
+    if (this.hasFocus()) {
+      this.setCaretOffset(entry.caret);
+    }
+    
+    // The restored spans are not the ones in the model, so rebuild them
+    this.lastContentHash = null;
+    this.lastHistoryInput = null;
+    this.scanAndHighlight();
+  }
+
+  /**
+   * Start observing the editor for changes that don't fire `input`
+   * Form controls are skipped: setting `value` does not mutate the DOM.
+   * @private
+   * @returns {void}
+   */
+  observeMutations() {
+    if (!this.options.observeMutations || this.isPaused || this.isFormControl || typeof MutationObserver === 'undefined') {
+      return;
+    }
+    
+    this.mutationObserver = new MutationObserver(this.handleMutations);
+    this.mutationObserver.observe(this.editor, {
+      childList: true,
+      characterData: true,
+      subtree: true
+    });
+  }
+
+  /**
+   * Stop observing the editor and cancel any pending check
+   * @private
+   * @returns {void}
+   */
+  disconnectMutations() {
+    if (this.mutationObserver) {
+      this.mutationObserver.disconnect();
+      this.mutationObserver = null;
+    }
+    if (this.mutationFrame) {
+      cancelAnimationFrame(this.mutationFrame);
+      this.mutationFrame = null;
+    }
+  }
+
+  /**
+   * Handle DOM mutations from outside the library, batched to the next animation frame
+   * @private
+   * @returns {void}
+   */
+  handleMutations() {
+    this.hasEdits = true;
+    if (this.isHandlingInput || this.mutationFrame) return;
+    
+    this.mutationFrame = requestAnimationFrame(() => {
+      this.mutationFrame = null;
+      if (this.getContentHash() !== this.lastContentHash || !this.hasValidHighlights()) {
+        this.requestScan();
+      }
+    });
+  }
+
+  /**
+   * Run a DOM update without the MutationObserver reporting it
+   * Changes that were already pending are still checked afterwards.
+   * @private
+   * @param {Function} callback - Function performing the library's own DOM changes
+   * @returns {*} The callback's return value
+   */
+  withoutObserving(callback) {
+    if (!this.mutationObserver) {
+      return callback();
+    }
+    
+    const pending = this.mutationObserver.takeRecords();
+    try {
+      return callback();
+    } finally {
+      this.mutationObserver.takeRecords();
+      if (pending.length > 0) {
+        this.handleMutations();
+      }
+    }
+  }
+
+  /**
+   * Handle navigation events (arrow keys, clicks, etc.) with throttling
+   * @private
+   * @returns {void}
+   */
+  handleNavigation() {
+    // Throttle for better performance
+    clearTimeout(this.updateTimer);
+    this.updateTimer = setTimeout(() => {
+      this.updateActiveSentence();
+    }, this.options.updateThrottle);
+  }
+
+  /**
+   * Add the shared `selectionchange` listener to the editor's document,
+   * if this is the first attached instance there
+   * @private
+   * @returns {void}
+   */
+  addSelectionListener() {
+    const count = selectionDocuments.get(this.document) || 0;
+    if (count === 0) {
+      this.document.addEventListener('selectionchange', SentenceHighlighter.handleSelectionChange);
+    }
+    selectionDocuments.set(this.document, count + 1);
+  }
+
+  /**
+   * Remove the shared `selectionchange` listener from the editor's document,
+   * if this was the last attached instance there
+   * @private
+   * @returns {void}
+   */
+  removeSelectionListener() {
+    const count = selectionDocuments.get(this.document) - 1;
+    if (count === 0) {
+      this.document.removeEventListener('selectionchange', SentenceHighlighter.handleSelectionChange);
+      selectionDocuments.delete(this.document);
+    } else {
+      selectionDocuments.set(this.document, count);
+    }
+  }
+
+  /**
+   * Route a `selectionchange` to the instance whose editor has focus
+   * If no editor has focus (the selection was moved by a script), every
+   * instance in the document checks whether the selection is its own.
+   * @private
+   * @param {Event} event - The selectionchange event
+   * @returns {void}
+   */
+  static handleSelectionChange(event) {
+    const candidates = [];
+    instances.forEach(instance => {
+      if (instance.isInitialized && instance.document === event.currentTarget) candidates.push(instance);
+    });
+    
+    const focused = candidates.find(instance => instance.hasFocus());
+    (focused ? [focused] : candidates).forEach(instance => instance.handleCaretMove());
+  }
+
+  /**
+   * Attach a highlighter to every matching element that doesn't have one yet
+   * @public
+   * @param {string|Iterable<HTMLElement>} selector - CSS selector, or the elements themselves (e.g. from a shadow root)
+   * @param {SentenceHighlighterOptions} [options={}] - Options for the new instances
+   * @returns {SentenceHighlighter[]} The instance of each element, in document order
+   * @example
+   * SentenceHighlighter.attachAll('.card [contenteditable]', { highlightFocusedOnly: true });
+   */
+  static attachAll(selector, options = {}) {
+    const elements = typeof selector === 'string' ? document.querySelectorAll(selector) : selector;
+    return Array.from(elements, element =>
+      SentenceHighlighter.getInstance(element) || new SentenceHighlighter(element, options)
+    );
+  }
+
+  /**
+   * Get the highlighter attached to an element
+   * @public
+   * @param {HTMLElement} element - Editor element
+   * @returns {SentenceHighlighter|null} The instance, or null if the element has none
+   */
+  static getInstance(element) {
+    return instances.get(element) || null;
+  }
+
+  /**
+   * Destroy every live instance
+   * @public
+   * @returns {void}
+   */
+  static destroyAll() {
+    Array.from(instances.values()).forEach(instance => instance.destroy());
+  }
+
+  /**
+   * Detect sentences in plain text without an editor or a DOM
+   * Runs in Node and in Web Workers, and gives the same offsets and IDs
+   * as a highlighter with the same options.
+   * @public
+   * @param {string|Array<{text: string, isHeading: (boolean|undefined)}>} text - Text (one block per line), or its blocks
+   * @param {SentenceHighlighterOptions & {blocks: (Array<{start: number, end: number, isHeading: (boolean|undefined)}>|undefined)}} [options={}] - Detection options, and the blocks' offsets when `text` is a string
+   * @returns {Array<Sentence & {blockIndex: number}>} Sentences in order
+   * @throws {Error} If the segmenter or unit option is unknown
+   * @example
+   * const sentences = SentenceHighlighter.segmentSentences([
+   *   { text: 'Introduction', isHeading: true },
+   *   { text: 'First sentence. Second sentence.' }
+   * ]);
+   */
+  static segmentSentences(text, options = {}) {
+    return segmentSentences(text, options);
+  }
+
+  /**
+   * Dim the editor's sentences only while it has focus (`highlightFocusedOnly`)
+   * @private
+   * @param {FocusEvent} e - focusin or focusout event
+   * @returns {void}
+   */
+  handleFocusChange(e) {
+    const isIdle = e.type === 'focusout' && !this.editor.contains(e.relatedTarget);
+    if (isIdle === this.isIdle) return;
+    
+    this.isIdle = isIdle;
+    this.getHighlightRoot().classList.toggle('sentence-highlighter-idle', isIdle);
+    if (this.usesRangeRenderer()) {
+      this.paintRangeHighlights();
+    }
+  }
+
+  /**
+   * Handle caret move events (selection changes) with throttling
+   * @private
+   * @returns {void}
+   */
+  handleCaretMove() {
+    if (this.isFormControl) {
+      // The document selection does not reach into form controls
+      if (!this.hasFocus()) return;
+    } else {
+      const range = this.getSelectionRange();
+      if (!range || !this.editor.contains(range.startContainer)) return;
+    }
+    
+    // Throttle updates
+    clearTimeout(this.updateTimer);
+    this.updateTimer = setTimeout(() => {
+      this.updateActiveSentence();
+    }, this.options.updateThrottle);
+  }
+
+  /**
+   * Carry sentence IDs over from the previous model to newly detected sentences
+   * 
+   * Sentences are matched by identical text first, then - for those left
+   * over - by text similarity against unmatched sentences in the same
+   * stretch of the document. Matched sentences keep their previous ID, so
+   * IDs survive insertions and deletions elsewhere and only change when a
+   * sentence's own text changes substantially.
+   * @private
+   * @param {Sentence[]} sentences - Newly detected sentences; their IDs are updated in place
+   * @returns {SentencesDiff} IDs that were added, removed, modified or moved
+   */
+  reconcileSentenceIds(sentences) {
+    const previous = Array.from(this.sentenceMap.values());
+    const matches = new Array(sentences.length).fill(-1); // Index into `previous` per new sentence
+    const usedPrevious = new Set();
+    const key = sentence => `${sentence.isHeading}:${sentence.text.trim()}`;
+    
+    // 1. Identical text, ignoring surrounding whitespace (in document order,
+    // so duplicates pair up positionally)
+    const byText = new Map();
+    previous.forEach((sentence, j) => {
+      if (!byText.has(key(sentence))) byText.set(key(sentence), []);
+      byText.get(key(sentence)).push(j);
+    });
+    sentences.forEach((sentence, i) => {
+      const candidates = byText.get(key(sentence));
+      if (candidates && candidates.length > 0) {
+        matches[i] = candidates.shift();
+        usedPrevious.add(matches[i]);
+      }
+    });
+    
+    // 2. Similar text, between the neighbouring identical matches
+    sentences.forEach((sentence, i) => {
+      if (matches[i] >= 0) return;
+      
+      let low = -1;
+      for (let k = i - 1; k >= 0; k--) {
+        if (matches[k] >= 0) { low = matches[k]; break; }
+      }
+      let high = previous.length;
+      for (let k = i + 1; k < sentences.length; k++) {
+        if (matches[k] >= 0) { high = matches[k]; break; }
+      }
+      
+      let best = -1;
+      let bestScore = SIMILARITY_THRESHOLD;
+      for (let j = low + 1; j < high; j++) {
+        if (usedPrevious.has(j) || previous[j].isHeading !== sentence.isHeading) continue;
+        const score = this.textSimilarity(previous[j].text, sentence.text);
+        if (score >= bestScore) {
+          best = j;
+          bestScore = score;
+        }
+      }
+      
+      if (best >= 0) {
+        matches[i] = best;
+        usedPrevious.add(best);
+      }
+    });
+    
+    // 3. Assign IDs: matched sentences keep theirs, the rest get fresh ones
+    const diff = { added: [], removed: [], modified: [], moved: [] };
+    // Never hand out an ID that was just removed, so the diff stays unambiguous
+    const usedIds = new Set(previous.map(sentence => sentence.id));
+    sentences.forEach((sentence, i) => {
+      if (matches[i] < 0) return;
+      const match = previous[matches[i]];
+      sentence.id = match.id;
+      if (match.text.trim() !== sentence.text.trim()) {
+        diff.modified.push(sentence.id);
+      }
+    });
+    sentences.forEach((sentence, i) => {
+      if (matches[i] >= 0) return;
+      sentence.id = generateSentenceId(sentence.text, sentence.isHeading, usedIds);
+      diff.added.push(sentence.id);
+    });
+    previous.forEach((sentence, j) => {
+      if (!usedPrevious.has(j)) {
+        diff.removed.push(sentence.id);
+      }
+    });
+    
+    // 4. Moved: matched sentences outside the longest run that kept its relative order
+    const order = [];
+    sentences.forEach((sentence, i) => {
+      if (matches[i] >= 0) order.push({ id: sentence.id, index: matches[i] });
+    });
+    const inOrder = this.longestIncreasingSubsequence(order.map(entry => entry.index));
+    order.forEach((entry, k) => {
+      if (!inOrder.has(k)) {
+        diff.moved.push(entry.id);
+      }
+    });
+    
+    return diff;
+  }
+
+  /**
+   * Similarity of two texts as the Dice coefficient of their character bigrams
+   * @private
+   * @param {string} a - First text
+   * @param {string} b - Second text
+   * @returns {number} Similarity from 0 (nothing in common) to 1 (identical)
+   */
+  textSimilarity(a, b) {
+    const normalize = text => text.toLowerCase().replace(/\s+/g, ' ').trim();
+    a = normalize(a);
+    b = normalize(b);
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+    
+    const bigrams = new Map();
+    for (let i = 0; i < a.length - 1; i++) {
+      const bigram = a.substring(i, i + 2);
+      bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+    
+    let overlap = 0;
+    for (let i = 0; i < b.length - 1; i++) {
+      const bigram = b.substring(i, i + 2);
+      const count = bigrams.get(bigram) || 0;
+      if (count > 0) {
+        bigrams.set(bigram, count - 1);
+        overlap++;
+      }
+    }
+    
+    return (2 * overlap) / (a.length + b.length - 2);
+  }
+
+  /**
+   * Find a longest strictly increasing subsequence
+   * @private
+   * @param {number[]} values - Sequence of numbers
+   * @returns {Set<number>} Positions in `values` that belong to the subsequence
+   */
+  longestIncreasingSubsequence(values) {
+    const tails = []; // tails[k] = position of the smallest tail of an increasing run of length k + 1
+    const parents = new Array(values.length).fill(-1);
+    
+    values.forEach((value, i) => {
+      let low = 0;
+      let high = tails.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (values[tails[mid]] < value) low = mid + 1;
+        else high = mid;
+      }
+      parents[i] = low > 0 ? tails[low - 1] : -1;
+      tails[low] = i;
+    });
+    
+    const result = new Set();
+    for (let i = tails.length > 0 ? tails[tails.length - 1] : -1; i >= 0; i = parents[i]) {
+      result.add(i);
+    }
+    return result;
+  }
+
+  /**
+   * Check whether the editor or an element inside it has focus
+   * @private
+   * @returns {boolean} true if focus is in the editor
+   */
+  hasFocus() {
+    // Inside a shadow root, the document only sees the host as focused
+    const root = this.editor.getRootNode();
+    const active = root.activeElement !== undefined ? root.activeElement : this.document.activeElement;
+    return active === this.editor || this.editor.contains(active);
+  }
+
+  /**
+   * Get the selection that covers the editor
+   * @private
+   * @returns {Selection|null} The shadow root's selection where the browser has one, otherwise the window's
+   */
+  getSelection() {
+    const root = this.editor.getRootNode();
+    if (root !== this.document && typeof root.getSelection === 'function') {
+      return root.getSelection();
+    }
+    return this.window.getSelection();
+  }
+
+  /**
+   * Get the first range of the selection
+   * In browsers without ShadowRoot.getSelection(), a selection inside a
+   * shadow root is retargeted to its host, so it is read with
+   * Selection.getComposedRanges() instead.
+   * @private
+   * @returns {Range|null} The selected range, or null if nothing is selected
+   */
+  getSelectionRange() {
+    const selection = this.getSelection();
+    if (!selection || selection.rangeCount === 0) return null;
+    
+    const root = this.editor.getRootNode();
+    if (root.host && typeof root.getSelection !== 'function' && typeof selection.getComposedRanges === 'function') {
+      let composed;
+      try {
+        composed = selection.getComposedRanges({ shadowRoots: [root] });
+      } catch (e) {
+        // Earlier signature: shadow roots as arguments
+        composed = selection.getComposedRanges(root);
+      }
+      if (!composed.length) return null;
+      
+      const range = this.document.createRange();
+      range.setStart(composed[0].startContainer, composed[0].startOffset);
+      range.setEnd(composed[0].endContainer, composed[0].endOffset);
+      return range;
+    }
+    
+    return selection.getRangeAt(0);
+  }
+
+  /**
+   * Get caret character offset within editor
+   * @private
+   * @returns {number} Character offset from the start of the editor content
+   */
+  getCaretOffset() {
+    if (this.isFormControl) {
+      return this.editor.selectionStart || 0;
+    }
+
+    const range = this.getSelectionRange();
+    if (!range) return 0;
+
+    // Use the start of a selection, like selectionStart for form controls,
+    // so a selected sentence stays active
+    const preRange = range.cloneRange();
+    preRange.selectNodeContents(this.editor);
+    preRange.setEnd(range.startContainer, range.startOffset);
+
+    return preRange.toString().length;
+  }
+
+  /**
+   * Resolve the language of the editor from the nearest `lang` attribute
+   * @private
+   * @returns {string} BCP 47 language tag, or '' if none is set
+   */
+  getEditorLanguage() {
+    const element = this.editor.closest('[lang]');
+    return element ? element.getAttribute('lang') : '';
+  }
+
+  /**
+   * Select a range of the text by character offsets
+   * Unlike setCaretOffset(), a boundary between two text nodes resolves into
+   * the node that follows it, so the caret lands inside the next sentence.
+   * @private
+   * @param {number} start - Start offset from the start of the editor content
+   * @param {number} end - End offset from the start of the editor content
+   * @returns {void}
+   */
+  setSelectionOffsets(start, end) {
+    if (this.isFormControl) {
+      const value = this.editor.value;
+      this.editor.setSelectionRange(snapToCodePoint(value, start), snapToCodePoint(value, end));
+      return;
+    }
+    
+    const textNodes = this.getTextNodes();
+    const from = this.findTextPosition(textNodes, start, false);
+    const to = start === end ? from : this.findTextPosition(textNodes, end, true);
+    if (!from || !to) return;
+    
+    const range = this.document.createRange();
+    range.setStart(from.node, snapToCodePoint(from.node.textContent, from.offset));
+    range.setEnd(to.node, snapToCodePoint(to.node.textContent, to.offset));
+    
+    const selection = this.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+
+  /**
+   * Set caret position by character offset
+   * @private
+   * @param {number} targetOffset - Character offset from the start of the editor content
+   * @returns {void}
+   */
+  setCaretOffset(targetOffset) {
+    if (this.isFormControl) {
+      const offset = snapToCodePoint(this.editor.value, Math.min(targetOffset, this.editor.value.length));
+      this.editor.setSelectionRange(offset, offset);
+      return;
+    }
+
+    const selection = this.getSelection();
+    const range = this.document.createRange();
+    let currentOffset = 0;
+    let found = false;
+
+    const traverse = (node) => {
+      if (found) return;
+
+      if (node.nodeType === Node.TEXT_NODE) {
+        const text = node.textContent || "";
+        const nextOffset = currentOffset + text.length;
+
+        if (targetOffset <= nextOffset) {
+          const localOffset = snapToCodePoint(text, targetOffset - currentOffset);
+          range.setStart(node, Math.max(0, localOffset));
+          range.collapse(true);
+          found = true;
+          return;
+        }
+
+        currentOffset = nextOffset;
+      } else if (node.nodeType === Node.ELEMENT_NODE) {
+        for (let i = 0; i < node.childNodes.length; i++) {
+          traverse(node.childNodes[i]);
+          if (found) return;
+        }
+      }
+    };
+
+    traverse(this.editor);
+
+    if (!found) {
+      range.selectNodeContents(this.editor);
+      range.collapse(false);
+    }
+
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+
+  /**
+   * Build virtual sentence model from editor content
+   * 
+   * Detection is block-aware: every element matching `headingTags` becomes a
+   * single heading sentence, and `blockTags` elements end the current sentence
+   * even without terminal punctuation.
+   * @private
+   * @returns {Sentence[]} Array of sentence objects with id, text, start, end, isHeading
+   */
+  buildSentenceMap() {
+    const textNodes = this.options.unit === 'line' && !this.isFormControl ? this.getTextNodes() : null;
+    const splitLines = textNodes ? (blockText, block) => this.splitLines(blockText, block.start, textNodes) : null;
+    
+    return detectSentences(this.getPlainText(), this.getTextBlocks(), this.options, splitLines);
+  }
+  
+  /**
+   * Split a block into its visual lines
+   * Words are measured with Range client rects; a word whose first box
+   * starts below the current line begins a new one.
+   * @private
+   * @param {string} text - Text of a single block
+   * @param {number} offset - Offset of the block in the editor text
+   * @param {Array<{node: Text, start: number, end: number}>} textNodes - Text nodes as returned by getTextNodes()
+   * @returns {Array<{start: number, end: number}>} Ranges relative to the start of `text`
+   */
+  splitLines(text, offset, textNodes) {
+    const lines = [];
+    let lineTop = null;
+    
+    splitWords(text, this.options.locale).forEach(word => {
+      const end = word.start + text.slice(word.start, word.end).trimEnd().length;
+      const from = this.findTextPosition(textNodes, offset + word.start, false);
+      const to = this.findTextPosition(textNodes, offset + end, true);
+      let rect = null;
+      if (from && to) {
+        const range = this.document.createRange();
+        range.setStart(from.node, from.offset);
+        range.setEnd(to.node, to.offset);
+        rect = range.getClientRects()[0] || null;
+      }
+      
+      if (lineTop === null || (rect && rect.height > 0 && rect.top >= lineTop + rect.height / 2)) {
+        lines.push({ start: word.start, end: word.end });
+        lineTop = rect ? rect.top : 0;
+      } else {
+        lines[lines.length - 1].end = word.end;
+      }
+    });
+    
+    return lines;
+  }
+  
+  /**
+   * Observe the editor's width while the unit is 'line', since lines reflow with it
+   * @private
+   * @returns {void}
+   */
+  updateLineObserver() {
+    const needed = this.options.unit === 'line' && !this.isFormControl && typeof ResizeObserver !== 'undefined';
+    
+    if (!needed) {
+      if (this.lineResizeObserver) {
+        this.lineResizeObserver.disconnect();
+        this.lineResizeObserver = null;
+      }
+      return;
+    }
+    if (this.lineResizeObserver) return;
+    
+    this.lineWidth = this.editor.clientWidth;
+    this.lineResizeObserver = new ResizeObserver(() => {
+      if (this.editor.clientWidth === this.lineWidth) return;
+      this.lineWidth = this.editor.clientWidth;
+      this.lastContentHash = null;
+      this.scanAndHighlight();
+    });
+    this.lineResizeObserver.observe(this.editor);
+  }
+  
+  /**
+   * Group the editor's text into blocks that sentences may not cross
+   * 
+   * Consecutive text nodes sharing the same nearest block ancestor form one
+   * block. Text outside any block element (directly in the editor) is grouped
+   * the same way, so plain-text editors behave as a single block.
+   * In a textarea or input, every line is a block.
+   * @private
+   * @param {boolean} [withElements=false] - Include each block's element (null for text directly in the editor)
+   * @returns {Array<{start: number, end: number, isHeading: boolean, element: (HTMLElement|null|undefined)}>} Blocks in document order
+   */
+  getTextBlocks(withElements = false) {
+    if (this.isFormControl) {
+      const lines = [];
+      let start = 0;
+      this.getPlainText().split('\n').forEach(line => {
+        lines.push({ start: start, end: start + line.length, isHeading: false });
+        start += line.length + 1;
+      });
+      return lines;
+    }
+
+    const headingTags = this.options.headingTags.map(tag => tag.toLowerCase());
+    const blockTags = headingTags.concat(this.options.blockTags.map(tag => tag.toLowerCase()));
+    const blocks = [];
+    let current = null;
+    
+    this.getTextNodes().forEach(({ node, start, end }) => {
+      const element = this.findBlockElement(node, blockTags);
+      
+      if (current && (current.element === element || this.isSameFlatBlock(current.element, element))) {
+        current.end = end;
+        return;
+      }
+      
+      current = {
+        element: element,
+        start: start,
+        end: end,
+        isHeading: !!element && (
+          headingTags.includes(element.tagName.toLowerCase()) ||
+          element.classList.contains('sentence-highlighter-heading')
+        )
+      };
+      blocks.push(current);
+    });
+    
+    return withElements ? blocks : blocks.map(({ start, end, isHeading }) => ({ start, end, isHeading }));
+  }
+  
+  /**
+   * Find the nearest block-level ancestor of a node inside the editor
+   * 
+   * When the editor has been flattened (preserveFormatting off), sentence
+   * spans from a previous rebuild stand in for the original block elements.
+   * @private
+   * @param {Node} node - Text node to start from
+   * @param {string[]} blockTags - Lowercase tag names that act as blocks
+   * @returns {HTMLElement|null} The block element, or null if the text sits directly in the editor
+   */
+  findBlockElement(node, blockTags) {
+    let element = node.parentElement;
+    
+    while (element && element !== this.editor) {
+      if (blockTags.includes(element.tagName.toLowerCase())) {
+        return element;
+      }
+      if (!this.options.preserveFormatting && (
+        element.hasAttribute('data-sentence-block') ||
+        element.classList.contains('sentence-highlighter-heading') ||
+        element.classList.contains('sentence-highlighter-block')
+      )) {
+        return element;
+      }
+      element = element.parentElement;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Check whether two flattened sentence spans come from the same block
+   * Spans split off by the browser (e.g. with Enter) keep the attribute but
+   * end up in another parent, so they start a block of their own.
+   * @private
+   * @param {HTMLElement|null} a - Block element of the previous text
+   * @param {HTMLElement|null} b - Block element of the next text
+   * @returns {boolean} true if both carry the same `data-sentence-block` in the same parent
+   */
+  isSameFlatBlock(a, b) {
+    return !!a && !!b && a.parentNode === b.parentNode &&
+      a.hasAttribute('data-sentence-block') &&
+      a.getAttribute('data-sentence-block') === b.getAttribute('data-sentence-block');
+  }
+
+
+  /**
+   * Get plain text from editor (removes all HTML)
+   */
+  getPlainText() {
+    if (this.isFormControl) {
+      return this.editor.value;
+    }
+
+    // Get text content, which strips all HTML tags
+    return this.editor.textContent || this.editor.innerText || '';
+  }
+
+  /**
+   * Get content fingerprint for change detection
+   * Covers the full text and, for contenteditable, where its blocks start and
+   * end, but not the library's own spans or active classes.
+   * @private
+   * @returns {string} Fingerprint that changes whenever the sentences could
+   */
+  getContentHash() {
+    const text = this.getPlainText();
+    const textHash = `${text.length}-${simpleHash(text)}`;
+    if (this.isFormControl) {
+      return textHash;
+    }
+    
+    const blocks = this.getTextBlocks().map(block => `${block.end}${block.isHeading ? 'h' : ''}`).join(',');
+    return `${textHash}-${simpleHash(blocks)}`;
+  }
+
+  /**
+   * Find which sentence contains the caret
+   * @deprecated This method is kept for backward compatibility but findActiveSentenceIndex is preferred
+   */
+  findActiveSentenceId(caretOffset) {
+    const sentences = Array.from(this.sentenceMap.values());
+    const activeIndex = this.findActiveSentenceIndex(sentences, caretOffset);
+    if (activeIndex >= 0 && activeIndex < sentences.length) {
+      return sentences[activeIndex].id;
+    }
+    return null;
+  }
+
+  /**
+   * Scan content and highlight sentences (incremental update)
+   * Always runs on the main thread; a segmentation still pending in the
+   * worker is cancelled.
+   */
+  scanAndHighlight() {
+    // Nothing is tracked while paused or detached
+    if (this.isPaused || !this.isInitialized) {
+      this.cancelSegmentation().forEach(callback => callback());
+      return;
+    }
+    
+    const callbacks = this.cancelSegmentation();
+    
+    // Get text BEFORE any DOM manipulation
+    if (!this.getPlainText().trim()) {
+      this.applySentences([], '');
+    } else {
+      const contentHash = this.getContentHash();
+      this.applySentences(this.buildSentenceMap(), contentHash);
+    }
+    
+    callbacks.forEach(callback => callback());
+  }
+
+  /**
+   * Make detected sentences the current model: keep their IDs, rebuild or
+   * update the highlighting and notify listeners
+   * @private
+   * @param {Sentence[]} newSentences - Sentences detected in the current content (empty if it is blank)
+   * @param {string} contentHash - Fingerprint of the content they were detected in
+   * @returns {void}
+   */
+  applySentences(newSentences, contentHash) {
+    const previous = Array.from(this.sentenceMap.values());
+    const previousActive = this.getActiveSentence();
+    
+    if (newSentences.length === 0) {
+      // Clear all highlights
+      this.withoutObserving(() => this.clearAllHighlights());
+      this.sentenceMap.clear();
+      this.sentenceElements.clear();
+      this.activeSentenceId = null;
+      this.lastContentHash = '';
+      
+      if (previous.length > 0) {
+        this.notifySentencesChanged(previous, [], {
+          added: [],
+          removed: previous.map(sentence => sentence.id),
+          modified: [],
+          moved: []
+        });
+        this.notifyActiveChange(previousActive);
+      }
+      return;
+    }
+    
+    const caretOffset = this.getCaretOffset();
+    
+    // Keep the IDs of sentences that already existed
+    const diff = this.reconcileSentenceIds(newSentences);
+    
+    const activeIndex = this.findActiveSentenceIndex(newSentences, caretOffset);
+    
+    // Check if we need to rebuild (always rebuild if content changed or no highlights exist)
+    const needsRebuild = contentHash !== this.lastContentHash || 
+                        !this.sentenceElements || 
+                        this.sentenceElements.size === 0 ||
+                        !this.hasValidHighlights();
+    
+    // Avoid rebuilding if we just rebuilt very recently (within 50ms)
+    // This prevents cursor jumping when typing quickly
+    const timeSinceLastRebuild = Date.now() - this.lastRebuildTime;
+    const shouldRebuild = needsRebuild && (timeSinceLastRebuild > 50 || !this.isRebuilding);
+    
+    const rebuilt = shouldRebuild && !this.isRebuilding;
+    if (rebuilt) {
+      // Rebuild highlighting
+      this.isRebuilding = true;
+      this.withoutObserving(() => this.rebuildHighlights(newSentences, activeIndex, caretOffset));
+      this.lastContentHash = contentHash;
+      this.lastRebuildTime = Date.now();
+      this.isRebuilding = false;
+    } else if (!needsRebuild) {
+      // Just update active sentence (incremental update)
+      this.updateActiveSentenceFromMap(newSentences, activeIndex);
+    } else {
+      // We need to rebuild but just did, so just update active sentence for now
+      // The next update will do the full rebuild
+      this.updateActiveSentenceFromMap(newSentences, activeIndex);
+    }
+    
+    // Store sentences in virtual model
+    this.sentenceMap.clear();
+    newSentences.forEach(s => {
+      this.sentenceMap.set(s.id, s);
+    });
+    
+    // Distances depend on the order of the stored model
+    this.applyDimming();
+    
+    // Callbacks and events
+    if (rebuilt) {
+      this.emit('rebuild', { sentences: this.getSentences() });
+    }
+    this.notifySentencesChanged(previous, newSentences, diff);
+    this.notifyActiveChange(previousActive);
+    
+    // Auto-scroll if enabled
+    if (this.options.autoScroll) {
+      this.scrollCaretIntoView();
+    }
+  }
+  
+  /**
+   * Re-scan after an edit, in the worker if the `worker` option is on
+   * Falls back to scanAndHighlight() where the worker can't be used.
+   * @private
+   * @param {Function} [callback] - Called once the sentences are up to date
+   * @returns {void}
+   */
+  requestScan(callback) {
+    const text = this.getPlainText();
+    if (this.isPaused || !this.isInitialized || !this.usesWorker() || !text.trim()) {
+      this.scanAndHighlight();
+      if (callback) callback();
+      return;
+    }
+    
+    // A newer request supersedes the pending one, and inherits its callbacks
+    const callbacks = this.cancelSegmentation();
+    if (callback) callbacks.push(callback);
+    
+    const request = { id: ++this.segmentationId, contentHash: this.getContentHash(), callbacks: callbacks };
+    const options = {};
+    DETECTION_OPTIONS.forEach(key => {
+      options[key] = this.options[key];
+    });
+    
+    this.pendingSegmentation = request;
+    this.worker.postMessage({ id: request.id, text: text, blocks: this.getTextBlocks(), options: options });
+  }
+
+  /**
+   * Check whether sentences are detected in the worker, creating it on first use
+   * @private
+   * @returns {boolean} true if the `worker` option is on and a worker is available
+   */
+  usesWorker() {
+    if (!this.options.worker || this.workerFailed) return false;
+    
+    // Functions can't be sent to a worker, and lines are measured in the DOM
+    if (typeof this.options.segmenter === 'function' || (this.options.unit === 'line' && !this.isFormControl)) {
+      return false;
+    }
+    
+    if (!this.worker) {
+      this.createWorker();
+    }
+    return !!this.worker;
+  }
+
+  /**
+   * Start the segmentation worker from an inline Blob
+   * Sets `workerFailed` instead where workers or Blob URLs are unavailable,
+   * e.g. under a Content Security Policy without `worker-src blob:`.
+   * @private
+   * @returns {void}
+   */
+  createWorker() {
+    const { Worker, Blob, URL } = this.window;
+    if (typeof Worker !== 'function' || typeof Blob !== 'function' || !URL || typeof URL.createObjectURL !== 'function') {
+      this.workerFailed = true;
+      return;
+    }
+    
+    try {
+      this.workerURL = URL.createObjectURL(new Blob([getWorkerSource()], { type: 'text/javascript' }));
+      this.worker = new Worker(this.workerURL);
+    } catch (error) {
+      this.terminateWorker();
+      this.workerFailed = true;
+      return;
+    }
+    
+    this.worker.addEventListener('message', this.handleWorkerMessage);
+    this.worker.addEventListener('error', this.handleWorkerError);
+  }
+
+  /**
+   * Apply sentences detected by the worker
+   * Replies to superseded requests are ignored, and so are replies for content
+   * that has changed since (it is requested again).
+   * @private
+   * @param {MessageEvent} event - Reply with `id` and `sentences` or `error`
+   * @returns {void}
+   */
+  handleWorkerMessage(event) {
+    const request = this.pendingSegmentation;
+    const { id, sentences, error } = event.data;
+    if (!request || id !== request.id) return;
+    
+    if (error) {
+      // Let the main thread report the error and stop using the worker
+      this.handleWorkerError();
+      return;
+    }
+    
+    if (this.isPaused || !this.isInitialized) {
+      // While paused, resume() scans again
+      this.scanAndHighlight();
+      return;
+    }
+    
+    if (this.getContentHash() !== request.contentHash) {
+      this.requestScan();
+      return;
+    }
+    
+    this.pendingSegmentation = null;
+    this.applySentences(sentences, request.contentHash);
+    request.callbacks.forEach(callback => callback());
+  }
+
+  /**
+   * Fall back to the main thread for good when the worker fails to load or to segment
+   * @private
+   * @returns {void}
+   */
+  handleWorkerError() {
+    this.workerFailed = true;
+    this.scanAndHighlight();
+    this.terminateWorker();
+  }
+
+  /**
+   * Cancel the segmentation pending in the worker, if any
+   * @private
+   * @returns {Function[]} Callbacks that were waiting for it
+   */
+  cancelSegmentation() {
+    const request = this.pendingSegmentation;
+    if (!request) return [];
+    
+    this.pendingSegmentation = null;
+    if (this.worker) {
+      this.worker.postMessage({ cancel: request.id });
+    }
+    return request.callbacks;
+  }
+
+  /**
+   * Stop the worker and drop any pending segmentation
+   * @private
+   * @returns {void}
+   */
+  terminateWorker() {
+    this.pendingSegmentation = null;
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    if (this.workerURL) {
+      this.window.URL.revokeObjectURL(this.workerURL);
+      this.workerURL = null;
+    }
+  }
+  
+  /**
+   * Report changed sentences to `onSentenceChange`, `onSentencesDiff` and `sentencesChanged`
+   * Nothing is reported if the sentences and their offsets are unchanged.
+   * @private
+   * @param {Sentence[]} previous - Sentences before the update
+   * @param {Sentence[]} sentences - Sentences after the update
+   * @param {SentencesDiff} diff - IDs that were added, removed, modified or moved
+   * @returns {void}
+   */
+  notifySentencesChanged(previous, sentences, diff) {
+    const isEmptyDiff = !diff.added.length && !diff.removed.length && !diff.modified.length && !diff.moved.length;
+    const offsetsChanged = previous.length !== sentences.length || sentences.some((sentence, i) =>
+      sentence.start !== previous[i].start || sentence.end !== previous[i].end
+    );
+    if (isEmptyDiff && !offsetsChanged) return;
+    
+    if (this.options.onSentenceChange) {
+      this.options.onSentenceChange(Array.from(this.sentenceMap.values()));
+    }
+    if (!isEmptyDiff && this.options.onSentencesDiff) {
+      this.options.onSentencesDiff(diff);
+    }
+    this.emit('sentencesChanged', { sentences: this.getSentences(), diff: diff });
+  }
+
+  /**
+   * Report a new active sentence to `onActiveSentenceChange` and `activeChange`
+   * @private
+   * @param {Sentence|null} previous - Active sentence before the update
+   * @returns {void}
+   */
+  notifyActiveChange(previous) {
+    if ((previous ? previous.id : null) === this.activeSentenceId) return;
+    
+    const sentence = this.getActiveSentence();
+    const index = this.getActiveSentenceIndex();
+    if (sentence && this.options.onActiveSentenceChange) {
+      this.options.onActiveSentenceChange(index, this.sentenceMap.get(sentence.id));
+    }
+    this.emit('activeChange', { previous: previous, sentence: sentence, index: index });
+  }
+  
+  /**
+   * Find active sentence index from sentence array
+   */
+  findActiveSentenceIndex(sentences, caretOffset) {
+    for (let i = 0; i < sentences.length; i++) {
+      const s = sentences[i];
+      // Caret sits in whitespace between two blocks - belongs to the following sentence
+      if (caretOffset < s.start) {
+        return i;
+      }
+      // Check if caret is within sentence bounds (excluding the end boundary)
+      if (caretOffset >= s.start && caretOffset < s.end) {
+        return i;
+      }
+      // If caret is exactly at the end boundary of a sentence, prefer the next sentence
+      // This handles the case when typing after a period - the new sentence should be active
+      if (caretOffset === s.end && i < sentences.length - 1) {
+        return i + 1;
+      }
+    }
+    // If caret is at or beyond the end of the last sentence, return last sentence
+    if (sentences.length > 0) {
+      const lastSentence = sentences[sentences.length - 1];
+      if (caretOffset >= lastSentence.start) {
+        return sentences.length - 1;
+      }
+    }
+    return -1;
+  }
+  
+  /**
+   * Check if current highlights are valid
+   */
+  hasValidHighlights() {
+    if (!this.sentenceElements) {
+      return false;
+    }
+    if (this.usesRangeRenderer()) {
+      return this.sentenceRanges.size > 0;
+    }
+    return this.sentenceElements.size > 0 && 
+           this.getHighlightRoot().querySelectorAll(`[${this.options.sentenceDataAttribute}]`).length > 0;
+  }
+  
+  /**
+   * Clear all sentence highlights
+   */
+  clearAllHighlights() {
+    if (!this.sentenceElements) {
+      this.sentenceElements = new Map();
+    }
+    
+    if (this.overlay) {
+      this.overlay.textContent = this.getPlainText();
+      this.sentenceElements.clear();
+      return;
+    }
+
+    if (this.usesRangeRenderer()) {
+      this.sentenceRanges.clear();
+      this.sentenceElements.clear();
+      this.paintRangeHighlights();
+      return;
+    }
+
+    // Remove all sentence spans
+    this.unwrapSentenceSpans();
+    
+    // Remove container if it exists and is empty or only has text
+    // (in-place wrapping never creates one, so leave the user's markup alone)
+    const container = this.options.preserveFormatting
+      ? null
+      : this.editor.querySelector(`.${this.options.containerClass}`);
+    if (container) {
+      // If container is empty or only has text nodes, remove it
+      const hasElements = Array.from(container.childNodes).some(node => 
+        node.nodeType === Node.ELEMENT_NODE
+      );
+      if (!hasElements) {
+        while (container.firstChild) {
+          this.editor.insertBefore(container.firstChild, container);
+        }
+        this.editor.removeChild(container);
+      }
+    }
+    
+    this.sentenceElements.clear();
+  }
+  
+  /**
+   * Unwrap every sentence span, moving its children back to its parent
+   * and merging the text nodes that wrapping had split
+   * @private
+   * @param {Set<HTMLElement>} [keep] - Spans to leave in place
+   * @returns {number} Number of spans unwrapped
+   */
+  unwrapSentenceSpans(keep) {
+    const spans = this.editor.querySelectorAll(`[${this.options.sentenceDataAttribute}]`);
+    const parents = new Set();
+    let count = 0;
+    
+    spans.forEach(span => {
+      const parent = span.parentNode;
+      if (!parent || (keep && keep.has(span))) return;
+      
+      while (span.firstChild) {
+        parent.insertBefore(span.firstChild, span);
+      }
+      parent.removeChild(span);
+      parents.add(parent);
+      count++;
+    });
+    
+    parents.forEach(parent => parent.normalize());
+    return count;
+  }
+  
+  /**
+   * Collect the editor's text nodes with their character offsets
+   * Offsets match those of getPlainText(), so sentence ranges map directly onto them
+   * @private
+   * @returns {Array<{node: Text, start: number, end: number}>} Text nodes in document order
+   */
+  getTextNodes() {
+    const textNodes = [];
+    const walker = this.document.createTreeWalker(this.editor, NodeFilter.SHOW_TEXT);
+    let offset = 0;
+    let node;
+    
+    while ((node = walker.nextNode())) {
+      const length = node.textContent.length;
+      textNodes.push({ node: node, start: offset, end: offset + length });
+      offset += length;
+    }
+    
+    return textNodes;
+  }
+  
+  /**
+   * Create a span carrying the sentence classes and data attributes
+   * @private
+   * @param {Sentence} sentence - Sentence the span belongs to
+   * @param {boolean} isActive - Whether the sentence is the active one
+   * @returns {HTMLSpanElement} The sentence span (empty)
+   */
+  createSentenceSpan(sentence, isActive) {
+    const span = this.document.createElement('span');
+    span.setAttribute(this.options.sentenceDataAttribute, sentence.id);
+    span.className = this.options.sentenceClass;
+    
+    if (isActive) {
+      span.classList.add(this.options.activeSentenceClass);
+      span.setAttribute(this.options.activeSentenceDataAttribute, 'true');
+    }
+    
+    if (sentence.isHeading) {
+      span.classList.add('sentence-highlighter-heading');
+    }
+    
+    return span;
+  }
+  
+  /**
+   * Rebuild highlights by wrapping sentences in spans
+   */
+  rebuildHighlights(sentences, activeIndex, caretOffset) {
+    if (sentences.length === 0) {
+      this.clearAllHighlights();
+      return;
+    }
+    
+    // Ensure sentenceElements is initialized
+    if (!this.sentenceElements) {
+      this.sentenceElements = new Map();
+    }
+    
+    // Get the most current caret position right before DOM manipulation
+    // This ensures we capture the latest position even if user is typing quickly
+    const savedCaretOffset = this.getCaretOffset();
+    const wasFocused = this.hasFocus();
+    
+    // Only re-wrap the sentences that changed, if the existing spans allow it
+    const patched = this.applySentenceDiff(sentences, activeIndex);
+    if (patched >= 0) {
+      if (patched > 0) {
+        this.restoreCaret(savedCaretOffset, wasFocused);
+      }
+      return;
+    }
+    
+    // Clear existing sentence element mappings
+    this.sentenceElements.clear();
+    
+    if (activeIndex >= 0 && activeIndex < sentences.length) {
+      this.activeSentenceId = sentences[activeIndex].id;
+    }
+    
+    if (this.overlay) {
+      // The element itself is untouched, so the caret needs no restoring
+      this.renderOverlay(sentences, activeIndex);
+      return;
+    }
+    
+    if (this.usesRangeRenderer()) {
+      this.renderRanges(sentences);
+      return;
+    }
+    
+    if (this.options.preserveFormatting) {
+      this.wrapSentencesInPlace(sentences, activeIndex);
+    } else {
+      this.replaceWithSentenceContainer(sentences, activeIndex);
+    }
+    
+    this.restoreCaret(savedCaretOffset, wasFocused);
+  }
+  
+  /**
+   * Update the sentence spans incrementally instead of rebuilding them all
+   * 
+   * The leading and trailing sentences whose ID and text are unchanged (and
+   * whose spans still hold exactly that text) keep their span elements;
+   * only the sentences in between are unwrapped and wrapped again.
+   * @private
+   * @param {Sentence[]} sentences - Newly detected sentences
+   * @param {number} activeIndex - Index of the active sentence, or -1
+   * @returns {number} Number of sentences re-wrapped, or -1 if a full rebuild is needed
+   */
+  applySentenceDiff(sentences, activeIndex) {
+    if (this.overlay || this.usesRangeRenderer() || this.sentenceElements.size === 0) {
+      return -1;
+    }
+    
+    const container = this.options.preserveFormatting ? null : this.editor.firstChild;
+    if (!this.options.preserveFormatting && !(
+      this.editor.childNodes.length === 1 &&
+      container.nodeType === Node.ELEMENT_NODE &&
+      container.classList.contains(this.options.containerClass)
+    )) {
+      return -1;
+    }
+    
+    const previous = Array.from(this.sentenceMap.values());
+    const activeId = activeIndex >= 0 && activeIndex < sentences.length ? sentences[activeIndex].id : null;
+    const isRendered = this.getRenderedFilter(sentences, activeId);
+    
+    // Sentences that stay off screen with `virtualize` have no spans to keep
+    const isKept = (oldSentence, newSentence) =>
+      oldSentence.id === newSentence.id &&
+      oldSentence.text === newSentence.text &&
+      oldSentence.isHeading === newSentence.isHeading &&
+      (isRendered(newSentence) ?
+        this.spansMatchSentence(oldSentence, container) :
+        !this.sentenceElements.has(oldSentence.id));
+    
+    const max = Math.min(previous.length, sentences.length);
+    let prefix = 0;
+    while (prefix < max && isKept(previous[prefix], sentences[prefix])) {
+      prefix++;
+    }
+    let suffix = 0;
+    while (suffix < max - prefix &&
+           isKept(previous[previous.length - 1 - suffix], sentences[sentences.length - 1 - suffix])) {
+      suffix++;
+    }
+    
+    // Nothing in common - a full rebuild is just as cheap
+    if (prefix + suffix === 0) {
+      return -1;
+    }
+    
+    const elements = new Map();
+    const keep = new Set();
+    const carryOver = (oldSentence, newSentence) => {
+      const spans = this.sentenceElements.get(oldSentence.id);
+      if (!spans) return;
+      if (container) {
+        // Blocks before it may have been added or removed
+        spans[0].setAttribute('data-sentence-block', newSentence.blockIndex);
+      }
+      spans.forEach(span => keep.add(span));
+      elements.set(newSentence.id, spans);
+    };
+    
+    for (let i = 0; i < prefix; i++) {
+      carryOver(previous[i], sentences[i]);
+    }
+    for (let i = 0; i < suffix; i++) {
+      carryOver(previous[previous.length - 1 - i], sentences[sentences.length - 1 - i]);
+    }
+    
+    const changed = sentences.slice(prefix, sentences.length - suffix);
+    let modified = changed.length;
+    
+    if (this.options.preserveFormatting) {
+      modified += this.unwrapSentenceSpans(keep);
+      this.sentenceElements = elements;
+      this.wrapSentences(changed.filter(isRendered), activeId);
+    } else {
+      // Replace everything between the kept spans with the changed sentences
+      const before = prefix > 0 ? elements.get(sentences[prefix - 1].id)[0] : null;
+      const after = suffix > 0 ? elements.get(sentences[sentences.length - suffix].id)[0] : null;
+      let node = before ? before.nextSibling : container.firstChild;
+      while (node && node !== after) {
+        const next = node.nextSibling;
+        container.removeChild(node);
+        modified++;
+        node = next;
+      }
+      
+      this.sentenceElements = elements;
+      changed.forEach(sentence => {
+        const span = this.createFlatSentenceSpan(sentence, sentence.id === activeId);
+        container.insertBefore(span, after);
+        this.sentenceElements.set(sentence.id, [span]);
+      });
+    }
+    
+    if (activeId) {
+      this.activateSentence(activeId);
+    }
+    
+    return modified;
+  }
+  
+  /**
+   * Check that a sentence's spans are still in the editor and hold exactly its text
+   * @private
+   * @param {Sentence} sentence - Sentence from the current model
+   * @param {HTMLElement|null} container - Flattened container, or null when wrapping in place
+   * @returns {boolean} true if the spans can be reused
+   */
+  spansMatchSentence(sentence, container) {
+    const spans = this.sentenceElements.get(sentence.id);
+    if (!spans || spans.length === 0) return false;
+    
+    if (container) {
+      return spans.length === 1 && spans[0].parentNode === container && spans[0].textContent === sentence.text;
+    }
+    
+    // Whitespace-only text between fragments is never wrapped
+    const text = spans.map(span => span.textContent).join('');
+    return spans.every(span => this.editor.contains(span)) &&
+      text.replace(/\s+/g, '') === sentence.text.replace(/\s+/g, '');
+  }
+  
+  /**
+   * Create a sentence span holding the sentence text, for the flattened container
+   * @private
+   * @param {Sentence} sentence - Sentence to render
+   * @param {boolean} isActive - Whether the sentence is the active one
+   * @returns {HTMLSpanElement} The filled sentence span
+   */
+  createFlatSentenceSpan(sentence, isActive) {
+    const span = this.createSentenceSpan(sentence, isActive);
+    
+    // Use the sentence text directly
+    span.textContent = sentence.text;
+    
+    // The block elements are gone, so the spans remember which one they came from
+    span.setAttribute('data-sentence-block', sentence.blockIndex);
+    
+    // Flattening drops the block elements, so paragraphs keep their own
+    if (this.options.unit === 'paragraph' && !sentence.isHeading) {
+      span.classList.add('sentence-highlighter-block');
+    }
+    
+    // Flattening drops the original dir attributes, so let
+    // right-to-left sentences resolve their own direction
+    if (RTL_PATTERN.test(sentence.text)) {
+      span.setAttribute('dir', 'auto');
+    }
+    
+    return span;
+  }
+  
+  /**
+   * Replace the editor content with a single container of sentence spans
+   * This flattens any markup in the editor to plain text
+   * @private
+   * @param {Sentence[]} sentences - Sentences to render
+   * @param {number} activeIndex - Index of the active sentence, or -1
+   * @returns {void}
+   */
+  replaceWithSentenceContainer(sentences, activeIndex) {
+    // Create container
+    const container = this.document.createElement('div');
+    container.className = this.options.containerClass;
+    
+    // Wrap each sentence in a span
+    sentences.forEach((sentence, i) => {
+      const span = this.createFlatSentenceSpan(sentence, i === activeIndex);
+      container.appendChild(span);
+      
+      // Store mapping
+      this.sentenceElements.set(sentence.id, [span]);
+    });
+    
+    // Replace editor content
+    this.editor.innerHTML = '';
+    this.editor.appendChild(container);
+  }
+  
+  /**
+   * Check whether sentences are painted as ranges instead of wrapped in spans
+   * Form controls always use their overlay.
+   * @private
+   * @returns {boolean} true for the 'highlight-api' renderer on a contenteditable
+   */
+  usesRangeRenderer() {
+    return this.options.renderer === 'highlight-api' && !this.isFormControl;
+  }
+  
+  /**
+   * Check whether the browser supports the CSS Custom Highlight API
+   * @private
+   * @returns {boolean} true if `CSS.highlights` and `Highlight` are available in the editor's window
+   */
+  supportsHighlightApi() {
+    const { CSS, Highlight } = this.window;
+    return typeof CSS !== 'undefined' && !!CSS.highlights && typeof Highlight === 'function';
+  }
+  
+  /**
+   * Get this instance's highlight names for `::highlight()` rules
+   * Without injected styles, the page's stylesheet can only know fixed
+   * names, so every instance uses the same two.
+   * @private
+   * @returns {{dim: string, active: string}} Names of the dimmed and active highlights
+   */
+  getHighlightNames() {
+    if (!this.options.injectStyles) {
+      return { dim: 'sentence-highlighter-dim', active: 'sentence-highlighter-active' };
+    }
+    return {
+      dim: `sentence-highlighter-${this.instanceId}-dim`,
+      active: `sentence-highlighter-${this.instanceId}-active`
+    };
+  }
+  
+  /**
+   * Prepare the 'highlight-api' renderer: `::highlight()` rules, or a layer
+   * of rectangles above the editor where the API is unavailable
+   * @private
+   * @returns {void}
+   */
+  setupRangeRenderer() {
+    if (this.supportsHighlightApi()) {
+      // Rules are added per dim level as they are painted
+      this.highlightTextColor = this.window.getComputedStyle(this.editor).color;
+      return;
+    }
+    
+    // Fallback: cover dimmed sentences with translucent rectangles
+    this.rectLayer = this.document.createElement('div');
+    this.rectLayer.className = 'sentence-highlighter-rects';
+    this.rectLayer.setAttribute('aria-hidden', 'true');
+    this.rectLayer.style.position = 'absolute';
+    this.rectLayer.style.overflow = 'hidden';
+    this.rectLayer.style.pointerEvents = 'none';
+    this.editor.parentNode.insertBefore(this.rectLayer, this.editor.nextSibling);
+    
+    this.editor.addEventListener('scroll', this.paintRangeHighlights);
+    this.window.addEventListener('resize', this.paintRangeHighlights);
+  }
+  
+  /**
+   * Remove everything the 'highlight-api' renderer added to the page
+   * @private
+   * @returns {void}
+   */
+  teardownRangeRenderer() {
+    if (this.supportsHighlightApi()) {
+      this.paintedHighlights.forEach(name => this.window.CSS.highlights.delete(name));
+      this.paintedHighlights.clear();
+      this.highlightLevels.clear();
+      if (this.sharedRanges.size > 0) {
+        this.paintSharedHighlights([], []);
+        this.sharedRanges.clear();
+      }
+    }
+    
+    this.highlightRules = '';
+    
+    if (this.rectLayer) {
+      this.editor.removeEventListener('scroll', this.paintRangeHighlights);
+      this.window.removeEventListener('resize', this.paintRangeHighlights);
+      if (this.rectLayer.parentNode) {
+        this.rectLayer.parentNode.removeChild(this.rectLayer);
+      }
+      this.rectLayer = null;
+    }
+    
+    this.sentenceRanges.clear();
+  }
+  
+  /**
+   * Create a live Range for each sentence without modifying the editor
+   * @private
+   * @param {Sentence[]} sentences - Sentences to render
+   * @returns {void}
+   */
+  renderRanges(sentences) {
+    const textNodes = this.getTextNodes();
+    this.sentenceRanges.clear();
+    
+    sentences.forEach(sentence => {
+      const start = this.findTextPosition(textNodes, sentence.start, false);
+      const end = this.findTextPosition(textNodes, sentence.end, true);
+      if (!start || !end) return;
+      
+      const range = this.document.createRange();
+      range.setStart(start.node, start.offset);
+      range.setEnd(end.node, end.offset);
+      this.sentenceRanges.set(sentence.id, range);
+      this.sentenceElements.set(sentence.id, []);
+    });
+    
+    this.paintRangeHighlights();
+  }
+  
+  /**
+   * Map a character offset onto a text node and local offset
+   * @private
+   * @param {Array<{node: Text, start: number, end: number}>} textNodes - Result of getTextNodes()
+   * @param {number} offset - Character offset in the editor's text
+   * @param {boolean} preferPrevious - At a node boundary, use the end of the previous node instead of the start of the next
+   * @returns {{node: Text, offset: number}|null} The DOM position, or null if out of range
+   */
+  findTextPosition(textNodes, offset, preferPrevious) {
+    for (let i = 0; i < textNodes.length; i++) {
+      const entry = textNodes[i];
+      if (offset < entry.end || (offset === entry.end && (preferPrevious || i === textNodes.length - 1))) {
+        return { node: entry.node, offset: offset - entry.start };
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Paint the dimmed and active sentences from the current ranges
+   * @private
+   * @returns {void}
+   */
+  paintRangeHighlights() {
+    const dimmed = new Map(); // Maps opacities to the ranges dimmed to them
+    const active = [];
+    const opacities = this.usesGraduatedDimming() ? this.getSentenceOpacities() : null;
+    
+    this.sentenceRanges.forEach((range, id) => {
+      if (id === this.activeSentenceId) {
+        active.push(range);
+      } else if (this.focusModeEnabled && !this.isIdle) {
+        const opacity = opacities && opacities.has(id) ? opacities.get(id).opacity : this.options.focusModeDimOpacity;
+        if (!dimmed.has(opacity)) dimmed.set(opacity, []);
+        dimmed.get(opacity).push(range);
+      }
+    });
+    
+    if (this.supportsHighlightApi() && !this.options.injectStyles) {
+      // Every dim level goes into one highlight the page styles itself
+      this.paintSharedHighlights(active, [].concat(...dimmed.values()));
+      return;
+    }
+    
+    if (this.supportsHighlightApi()) {
+      // Each window has its own highlight registry
+      const { CSS, Highlight } = this.window;
+      const names = this.getHighlightNames();
+      const painted = new Set([names.active]);
+      CSS.highlights.set(names.active, new Highlight(...active));
+      
+      dimmed.forEach((ranges, opacity) => {
+        const name = `${names.dim}-${Math.round(opacity * 100)}`;
+        if (!this.highlightLevels.has(opacity)) {
+          const color = this.withAlpha(this.highlightTextColor, opacity);
+          this.highlightRules += `::highlight(${name}) { color: ${color}; }\n`;
+          this.highlightLevels.add(opacity);
+          this.writeStyles();
+        }
+        CSS.highlights.set(name, new Highlight(...ranges));
+        painted.add(name);
+      });
+      
+      // Drop levels no sentence uses any more
+      this.paintedHighlights.forEach(name => {
+        if (!painted.has(name)) CSS.highlights.delete(name);
+      });
+      this.paintedHighlights = painted;
+      return;
+    }
+    
+    if (this.rectLayer) {
+      this.paintRangeRects(dimmed);
+    }
+  }
+  
+  /**
+   * Paint into the page-wide highlights used without injected styles
+   * Other instances in the window paint into the same highlights, so only
+   * this instance's own ranges are replaced, and an empty highlight is
+   * removed from the registry.
+   * @private
+   * @param {Range[]} active - Ranges of the active sentence
+   * @param {Range[]} dimmed - Ranges to dim
+   * @returns {void}
+   */
+  paintSharedHighlights(active, dimmed) {
+    const { CSS, Highlight } = this.window;
+    const names = this.getHighlightNames();
+    
+    [[names.active, active], [names.dim, dimmed]].forEach(([name, ranges]) => {
+      let highlight = CSS.highlights.get(name);
+      if (!highlight) {
+        if (ranges.length === 0) return;
+        highlight = new Highlight();
+        CSS.highlights.set(name, highlight);
+      }
+      
+      (this.sharedRanges.get(name) || []).forEach(range => highlight.delete(range));
+      ranges.forEach(range => highlight.add(range));
+      this.sharedRanges.set(name, ranges);
+      
+      if (highlight.size === 0) {
+        CSS.highlights.delete(name);
+      }
+    });
+  }
+  
+  /**
+   * Fallback painter: cover each dimmed range with rectangles in the
+   * editor's background colour, so the text behind shows at its dim opacity
+   * @private
+   * @param {Map<number, Range[]>} dimmed - Ranges to dim, by opacity
+   * @returns {void}
+   */
+  paintRangeRects(dimmed) {
+    const layer = this.rectLayer;
+    const editorRect = this.editor.getBoundingClientRect();
+    const backgroundColor = this.getBackgroundColor();
+    
+    layer.style.top = `${this.editor.offsetTop}px`;
+    layer.style.left = `${this.editor.offsetLeft}px`;
+    layer.style.width = `${this.editor.offsetWidth}px`;
+    layer.style.height = `${this.editor.offsetHeight}px`;
+    layer.textContent = '';
+    
+    dimmed.forEach((ranges, opacity) => {
+      const background = this.withAlpha(backgroundColor, 1 - opacity);
+      ranges.forEach(range => {
+        Array.from(range.getClientRects()).forEach(rect => {
+          const cover = this.document.createElement('div');
+          cover.style.position = 'absolute';
+          cover.style.top = `${rect.top - editorRect.top}px`;
+          cover.style.left = `${rect.left - editorRect.left}px`;
+          cover.style.width = `${rect.width}px`;
+          cover.style.height = `${rect.height}px`;
+          cover.style.background = background;
+          layer.appendChild(cover);
+        });
+      });
+    });
+  }
+  
+  /**
+   * Find the first opaque background colour behind the editor
+   * @private
+   * @returns {string} CSS colour, white if none of the ancestors has a background
+   */
+  getBackgroundColor() {
+    let element = this.editor;
+    while (element && element.nodeType === Node.ELEMENT_NODE) {
+      const color = this.window.getComputedStyle(element).backgroundColor;
+      if (color && color !== 'transparent' && !/rgba\(.*,\s*0\)$/.test(color)) {
+        return color;
+      }
+      element = element.parentElement;
+    }
+    return 'rgb(255, 255, 255)';
+  }
+  
+  /**
+   * Apply an alpha value to an `rgb()`/`rgba()` colour
+   * @private
+   * @param {string} color - Computed CSS colour
+   * @param {number} alpha - Alpha to multiply in (0-1)
+   * @returns {string} An `rgba()` colour
+   */
+  withAlpha(color, alpha) {
+    const match = /rgba?\(([^)]+)\)/.exec(color || '');
+    if (!match) {
+      return `rgba(0, 0, 0, ${alpha})`;
+    }
+    
+    const parts = match[1].split(',').map(part => parseFloat(part));
+    const baseAlpha = parts.length > 3 ? parts[3] : 1;
+    return `rgba(${parts[0]}, ${parts[1]}, ${parts[2]}, ${baseAlpha * alpha})`;
+  }
+  
+  /**
+   * Render the textarea/input value into the overlay, one span per sentence
+   * @private
+   * @param {Sentence[]} sentences - Sentences to render
+   * @param {number} activeIndex - Index of the active sentence, or -1
+   * @returns {void}
+   */
+  renderOverlay(sentences, activeIndex) {
+    const text = this.getPlainText();
+    const fragment = this.document.createDocumentFragment();
+    let offset = 0;
+    
+    sentences.forEach((sentence, i) => {
+      // Line breaks and other text between sentences
+      if (sentence.start > offset) {
+        fragment.appendChild(this.document.createTextNode(text.substring(offset, sentence.start)));
+      }
+      
+      const span = this.createSentenceSpan(sentence, i === activeIndex);
+      span.textContent = sentence.text;
+      fragment.appendChild(span);
+      this.sentenceElements.set(sentence.id, [span]);
+      offset = sentence.end;
+    });
+    
+    // A trailing newline only takes up a line in the overlay if something follows it
+    fragment.appendChild(this.document.createTextNode(text.substring(offset) + (text.endsWith('\n') ? ' ' : '')));
+    
+    this.overlay.textContent = '';
+    this.overlay.appendChild(fragment);
+    this.syncOverlayScroll();
+  }
+  
+  /**
+   * Wrap sentences in place, leaving the surrounding markup untouched
+   * 
+   * Sentence ranges are mapped onto the existing text nodes. A sentence that
+   * crosses an inline element boundary (e.g. part bold, part plain) or a block
+   * boundary is wrapped as several span fragments sharing the same ID.
+   * Whitespace-only fragments are left unwrapped so that no spans end up
+   * between list items or table cells.
+   * @private
+   * @param {Sentence[]} sentences - Sentences to render
+   * @param {number} activeIndex - Index of the active sentence, or -1
+   * @returns {void}
+   */
+  wrapSentencesInPlace(sentences, activeIndex) {
+    const activeId = activeIndex >= 0 ? sentences[activeIndex].id : null;
+    const isRendered = this.getRenderedFilter(sentences, activeId);
+    
+    this.unwrapSentenceSpans();
+    this.wrapSentences(sentences.filter(isRendered), activeId);
+  }
+  
+  /**
+   * Wrap the given sentences on the editor's current text nodes
+   * Text already inside sentence spans must not overlap these sentences.
+   * @private
+   * @param {Sentence[]} sentences - Sentences to wrap, in document order
+   * @param {string|null} activeId - ID of the active sentence
+   * @returns {void}
+   */
+  wrapSentences(sentences, activeId) {
+    const textNodes = this.getTextNodes();
+    let nodeIndex = 0;
+    
+    sentences.forEach(sentence => {
+      const fragments = [];
+      
+      // Skip text nodes that end before this sentence starts
+      while (nodeIndex < textNodes.length && textNodes[nodeIndex].end <= sentence.start) {
+        nodeIndex++;
+      }
+      
+      for (let j = nodeIndex; j < textNodes.length && textNodes[j].start < sentence.end; j++) {
+        const entry = textNodes[j];
+        let target = entry.node;
+        let targetStart = entry.start;
+        
+        // Split off text belonging to the previous sentence
+        if (sentence.start > targetStart) {
+          target = target.splitText(sentence.start - targetStart);
+          targetStart = sentence.start;
+        }
+        
+        // Split off text belonging to the next sentence and keep it for the next pass
+        if (entry.end > sentence.end) {
+          const tail = target.splitText(sentence.end - targetStart);
+          textNodes[j] = { node: tail, start: sentence.end, end: entry.end };
+        }
+        
+        if (!target.textContent.trim()) continue;
+        
+        const span = this.createSentenceSpan(sentence, sentence.id === activeId);
+        target.parentNode.insertBefore(span, target);
+        span.appendChild(target);
+        fragments.push(span);
+      }
+      
+      this.sentenceElements.set(sentence.id, fragments);
+    });
+  }
+  
+  /**
+   * Check whether only the sentences near the viewport are wrapped (`virtualize`)
+   * @private
+   * @returns {boolean} true if the option is on and applies to this editor
+   */
+  usesVirtualization() {
+    return this.options.virtualize && this.options.preserveFormatting && !this.isFormControl &&
+      !this.usesRangeRenderer() && typeof this.window.IntersectionObserver === 'function';
+  }
+  
+  /**
+   * Work out which sentences get spans, and mark the blocks left without them
+   * 
+   * With `virtualize`, only sentences in blocks within `virtualizeMargin` of
+   * the visible area are wrapped, along with the active sentence's block and
+   * text outside any block. The other blocks get the
+   * `sentence-highlighter-virtual` class, which dims them as a whole.
+   * @private
+   * @param {Sentence[]} sentences - Sentences of the current content, with their `blockIndex`
+   * @param {string|null} activeId - ID of the active sentence
+   * @returns {Function} (sentence) => true if the sentence should be wrapped
+   */
+  getRenderedFilter(sentences, activeId) {
+    if (!this.usesVirtualization()) {
+      return () => true;
+    }
+    
+    const elements = this.getTextBlocks(true).map(block => block.element);
+    this.observeBlocks(elements);
+    
+    const active = sentences.find(sentence => sentence.id === activeId);
+    const isRenderedBlock = index => !elements[index] || this.visibleBlocks.has(elements[index]) ||
+      (active !== undefined && active.blockIndex === index);
+    
+    elements.forEach((element, index) => {
+      if (element) {
+        element.classList.toggle('sentence-highlighter-virtual', !isRenderedBlock(index));
+      }
+    });
+    
+    return sentence => isRenderedBlock(sentence.blockIndex);
+  }
+  
+  /**
+   * Track the visibility of the current block elements
+   * @private
+   * @param {Array<HTMLElement|null>} elements - Element of each block
+   * @returns {void}
+   */
+  observeBlocks(elements) {
+    if (!this.blockObserver) {
+      const container = this.getScrollContainer();
+      this.blockObserver = new this.window.IntersectionObserver(this.handleBlockVisibility, {
+        root: this.isPageScrollContainer(container) ? null : container,
+        rootMargin: `${this.options.virtualizeMargin}px 0px`
+      });
+    }
+    
+    const current = new Set(elements.filter(Boolean));
+    this.observedBlocks.forEach(element => {
+      if (current.has(element)) return;
+      this.blockObserver.unobserve(element);
+      this.observedBlocks.delete(element);
+      this.visibleBlocks.delete(element);
+    });
+    current.forEach(element => {
+      if (this.observedBlocks.has(element)) return;
+      this.blockObserver.observe(element);
+      this.observedBlocks.add(element);
+    });
+  }
+  
+  /**
+   * Wrap or unwrap sentences as their blocks come into or leave the viewport
+   * @private
+   * @param {IntersectionObserverEntry[]} entries - Blocks whose visibility changed
+   * @returns {void}
+   */
+  handleBlockVisibility(entries) {
+    entries.forEach(entry => {
+      if (entry.isIntersecting) {
+        this.visibleBlocks.add(entry.target);
+      } else {
+        this.visibleBlocks.delete(entry.target);
+      }
+    });
+    
+    this.renderVisibleSentences();
+  }
+  
+  /**
+   * Bring the spans in line with the visible blocks, without re-detecting sentences
+   * Does nothing while the content has changed since the last rebuild; the
+   * pending scan renders the visible blocks instead.
+   * @private
+   * @returns {void}
+   */
+  renderVisibleSentences() {
+    if (!this.usesVirtualization() || !this.isInitialized || this.isPaused || this.sentenceMap.size === 0) return;
+    if (this.getContentHash() !== this.lastContentHash) return;
+    
+    const sentences = Array.from(this.sentenceMap.values());
+    const isRendered = this.getRenderedFilter(sentences, this.activeSentenceId);
+    const shown = sentences.filter(sentence => isRendered(sentence) && !this.sentenceElements.has(sentence.id));
+    const hidden = sentences.filter(sentence => !isRendered(sentence) && this.sentenceElements.has(sentence.id));
+    if (shown.length === 0 && hidden.length === 0) return;
+    
+    // Wrapping moves the text nodes, so keep the selection by offsets
+    const range = this.hasFocus() ? this.getSelectionRange() : null;
+    const selectionStart = range ? this.getCaretOffset() : 0;
+    const selectionEnd = range ? selectionStart + range.toString().length : 0;
+    
+    this.withoutObserving(() => {
+      hidden.forEach(sentence => this.sentenceElements.delete(sentence.id));
+      const keep = new Set();
+      this.sentenceElements.forEach(spans => spans.forEach(span => keep.add(span)));
+      this.unwrapSentenceSpans(keep);
+      this.wrapSentences(shown, this.activeSentenceId);
+    });
+    
+    if (range) {
+      this.setSelectionOffsets(selectionStart, selectionEnd);
+    }
+    this.applyDimming();
+  }
+  
+  /**
+   * Stop tracking block visibility and remove the placeholder class
+   * @private
+   * @returns {void}
+   */
+  teardownVirtualization() {
+    if (this.blockObserver) {
+      this.blockObserver.disconnect();
+      this.blockObserver = null;
+    }
+    this.observedBlocks.forEach(element => {
+      element.classList.remove('sentence-highlighter-virtual');
+      if (element.classList.length === 0) {
+        element.removeAttribute('class');
+      }
+    });
+    this.observedBlocks.clear();
+    this.visibleBlocks.clear();
+  }
+  
+  /**
+   * Restore focus and caret position after the DOM has been rewritten
+   * @private
+   * @param {number} savedCaretOffset - Caret offset captured before the rewrite
+   * @param {boolean} wasFocused - Whether the editor had focus before the rewrite
+   * @returns {void}
+   */
+  restoreCaret(savedCaretOffset, wasFocused) {
+    // Restore focus and caret position immediately
+    // Use a combination of sync and async to ensure it works
+    if (wasFocused) {
+      this.editor.focus();
+    }
+    
+    // Try to restore caret synchronously first
+    try {
+      this.setCaretOffset(savedCaretOffset);
+    } catch (e) {
+      // If sync fails, use the fastest async method
+      setTimeout(() => {
+        if (wasFocused) {
+          this.editor.focus();
+        }
+        this.setCaretOffset(savedCaretOffset);
+      }, 0);
+    }
+    
+    // Also ensure it's set after a microtask (catches edge cases)
+    Promise.resolve().then(() => {
+      const currentOffset = this.getCaretOffset();
+      // Only restore if caret is not at the expected position (might have been moved by user)
+      // But if user hasn't moved it, restore to saved position
+      if (Math.abs(currentOffset - savedCaretOffset) > 1 && wasFocused) {
+        this.setCaretOffset(savedCaretOffset);
+      }
+    });
+  }
+  
+  /**
+   * Move the active state from the current active sentence to another one
+   * @private
+   * @param {string} id - ID of the sentence to activate
+   * @returns {void}
+   */
+  activateSentence(id) {
+    if (this.activeSentenceId) {
+      this.setSentenceActiveState(this.activeSentenceId, false);
+    }
+    
+    this.activeSentenceId = id;
+    this.setSentenceActiveState(id, true);
+    
+    if (this.usesRangeRenderer()) {
+      this.paintRangeHighlights();
+    } else {
+      this.applyDimming();
+    }
+  }
+  
+  /**
+   * Check whether sentences are dimmed by more than the active/inactive split
+   * @private
+   * @returns {boolean} true for 'gradient' dimming or an `activeParagraphOpacity`
+   */
+  usesGraduatedDimming() {
+    return this.options.dimming === 'gradient' || this.options.activeParagraphOpacity !== null;
+  }
+  
+  /**
+   * Work out each sentence's distance from the active one and its opacity
+   * @private
+   * @returns {Map<string, {distance: number, opacity: number}>} Entries by sentence ID, empty if no sentence is active
+   */
+  getSentenceOpacities() {
+    const result = new Map();
+    const sentences = Array.from(this.sentenceMap.values());
+    const activeIndex = sentences.findIndex(sentence => sentence.id === this.activeSentenceId);
+    if (activeIndex < 0) return result;
+    
+    const { focusModeDimOpacity, dimmingFalloff, activeParagraphOpacity } = this.options;
+    const activeBlock = sentences[activeIndex].blockIndex;
+    
+    sentences.forEach((sentence, i) => {
+      const distance = Math.abs(i - activeIndex);
+      let opacity = this.options.dimming === 'gradient' ?
+        Math.max(focusModeDimOpacity, 1 - distance * dimmingFalloff) :
+        focusModeDimOpacity;
+      if (activeParagraphOpacity !== null && sentence.blockIndex === activeBlock) {
+        opacity = Math.max(opacity, activeParagraphOpacity);
+      }
+      result.set(sentence.id, {
+        distance: distance,
+        opacity: distance === 0 ? 1 : Math.round(opacity * 100) / 100
+      });
+    });
+    
+    return result;
+  }
+  
+  /**
+   * Expose each sentence's distance from the active one on its spans
+   * Sets `data-sentence-distance` and the `--sentence-distance` and
+   * `--sentence-opacity` custom properties, which the injected CSS uses.
+   * @private
+   * @returns {void}
+   */
+  applyDimming() {
+    if (!this.usesGraduatedDimming()) return;
+    
+    if (this.usesRangeRenderer()) {
+      this.paintRangeHighlights();
+      return;
+    }
+    
+    this.getSentenceOpacities().forEach(({ distance, opacity }, id) => {
+      (this.sentenceElements.get(id) || []).forEach(element => {
+        element.setAttribute('data-sentence-distance', distance);
+        element.style.setProperty('--sentence-distance', distance);
+        element.style.setProperty('--sentence-opacity', opacity);
+      });
+    });
+  }
+  
+  /**
+   * Add or remove the active classes and attributes on every fragment of a sentence
+   * @private
+   * @param {string} id - Sentence ID
+   * @param {boolean} isActive - Whether the sentence should be marked active
+   * @returns {void}
+   */
+  setSentenceActiveState(id, isActive) {
+    const elements = this.sentenceElements.get(id);
+    if (!elements) return;
+    
+    elements.forEach(element => {
+      if (isActive) {
+        element.classList.add(this.options.activeSentenceClass);
+        element.setAttribute(this.options.activeSentenceDataAttribute, 'true');
+      } else {
+        element.classList.remove(this.options.activeSentenceClass);
+        element.removeAttribute(this.options.activeSentenceDataAttribute);
+      }
+    });
+  }
+  
+  /**
+   * Update active sentence from existing map
+   */
+  updateActiveSentenceFromMap(sentences, activeIndex) {
+    if (!this.sentenceElements || activeIndex < 0 || activeIndex >= sentences.length) return;
+    
+    // Move the active state to the new sentence (reported once the model is stored)
+    this.activateSentence(sentences[activeIndex].id);
+  }
+
+  /**
+   * Update active sentence highlighting
+   */
+  updateActiveSentence() {
+    if (this.isPaused || this.sentenceMap.size === 0) return;
+    
+    const caretOffset = this.getCaretOffset();
+    const sentences = Array.from(this.sentenceMap.values());
+    const activeIndex = this.findActiveSentenceIndex(sentences, caretOffset);
+    
+    if (activeIndex < 0) return;
+    
+    const newActiveId = sentences[activeIndex].id;
+    
+    // Check if active sentence changed
+    if (newActiveId === this.activeSentenceId) {
+      return; // No change
+    }
+    
+    // Move the active state to the new sentence
+    const previous = this.getActiveSentence();
+    this.activateSentence(newActiveId);
+    if (!this.sentenceElements.has(newActiveId)) {
+      // The caret moved into a block that `virtualize` left unwrapped
+      this.renderVisibleSentences();
+    }
+    this.notifyActiveChange(previous);
+    
+    // Auto-scroll if enabled
+    if (this.options.autoScroll) {
+      this.scrollCaretIntoView();
+    }
+  }
+
+  /**
+   * Scroll the caret (or active sentence) to where `scrollMode` wants it
+   * Positions are measured with Range.getBoundingClientRect(), so the DOM
+   * and the selection are left untouched.
+   * @private
+   * @returns {void}
+   */
+  scrollCaretIntoView() {
+    // Form controls keep their own caret in view
+    if (this.isFormControl) return;
+    
+    const range = this.getSelectionRange();
+    if (!range || !this.editor.contains(range.startContainer)) return;
+    
+    try {
+      const target = this.options.scrollMode === 'sentence-top' ?
+        this.getSentenceRect(this.activeSentenceId) :
+        this.getCaretRect(range);
+      if (!target) return;
+      
+      const container = this.getScrollContainer();
+      const isPage = this.isPageScrollContainer(container);
+      const view = isPage ?
+        { top: 0, bottom: this.window.innerHeight, height: this.window.innerHeight } :
+        container.getBoundingClientRect();
+      const margin = this.options.scrollMargin;
+      let delta = 0;
+      
+      switch (this.options.scrollMode) {
+        case 'fixed-line':
+          delta = target.top - (view.top + view.height * this.options.scrollLinePosition);
+          break;
+        case 'keep-visible':
+          if (target.top < view.top + margin) {
+            delta = target.top - (view.top + margin);
+          } else if (target.bottom > view.bottom - margin) {
+            delta = target.bottom - (view.bottom - margin);
+          }
+          break;
+        case 'sentence-top':
+          delta = target.top - (view.top + margin);
+          break;
+        default:
+          delta = target.top + target.height / 2 - (view.top + view.height / 2);
+      }
+      
+      if (Math.abs(delta) < 1) return;
+      
+      (isPage ? this.window : container).scrollBy({ top: delta, behavior: this.options.scrollBehavior });
+    } catch (e) {
+      // Silently fail if scroll fails
+      return;
+    }
+    
+    this.emit('scroll', { sentence: this.getActiveSentence() });
+  }
+
+  /**
+   * Measure the caret
+   * A collapsed range has no box at the start of an empty line, so that
+   * case falls back to the element holding the caret.
+   * @private
+   * @param {Range} range - The selection's range
+   * @returns {DOMRect|null} The caret's rectangle, or null if it can't be measured
+   */
+  getCaretRect(range) {
+    const caretRange = range.cloneRange();
+    caretRange.collapse(true);
+    
+    const rect = caretRange.getClientRects()[0] || caretRange.getBoundingClientRect();
+    if (rect && (rect.height > 0 || rect.top !== 0)) {
+      return rect;
+    }
+    
+    const node = caretRange.startContainer;
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    return element ? element.getBoundingClientRect() : null;
+  }
+
+  /**
+   * Measure the first line of a sentence
+   * @private
+   * @param {string|null} id - Sentence ID
+   * @returns {DOMRect|null} Rectangle of the sentence's first line, or null if it is not rendered
+   */
+  getSentenceRect(id) {
+    const elements = id ? this.sentenceElements.get(id) : null;
+    const range = id ? this.sentenceRanges.get(id) : null;
+    const source = elements && elements[0] ? elements[0] : range;
+    if (!source) return null;
+    
+    return source.getClientRects()[0] || source.getBoundingClientRect();
+  }
+
+  /**
+   * Find the element to scroll
+   * @private
+   * @returns {Element} The `scrollContainer` option, the nearest scrollable ancestor of the editor, or the page's scrolling element
+   */
+  getScrollContainer() {
+    if (this.options.scrollContainer) {
+      return this.options.scrollContainer;
+    }
+    
+    // Climb out of shadow roots through their hosts
+    for (let element = this.editor; element && element !== this.document.body; element = element.parentElement || element.getRootNode().host) {
+      const overflowY = this.window.getComputedStyle(element).overflowY;
+      if ((overflowY === 'auto' || overflowY === 'scroll') && element.scrollHeight > element.clientHeight) {
+        return element;
+      }
+    }
+    return this.document.scrollingElement || this.document.documentElement;
+  }
+
+  /**
+   * Check whether a scroll container is the page itself
+   * @private
+   * @param {Element} container - Element returned by getScrollContainer()
+   * @returns {boolean} true if the page scrolls, rather than an element
+   */
+  isPageScrollContainer(container) {
+    return container === this.document.scrollingElement ||
+      container === this.document.documentElement || container === this.document.body;
+  }
+
+  /**
+   * Enable or disable focus mode
+   * @public
+   * @param {boolean} enabled - true to enable focus mode (dim non-active sentences), false to disable
+   * @returns {void}
+   * @example
+   * highlighter.setFocusMode(true);  // Enable focus mode
+   * highlighter.setFocusMode(false); // Disable focus mode
+   */
+  setFocusMode(enabled) {
+    if (enabled === this.focusModeEnabled) return;
+    
+    this.focusModeEnabled = enabled;
+    if (enabled) {
+      this.getHighlightRoot().classList.remove('sentence-highlighter-focus-off');
+    } else {
+      this.getHighlightRoot().classList.add('sentence-highlighter-focus-off');
+    }
+    
+    if (this.usesRangeRenderer()) {
+      this.paintRangeHighlights();
+    }
+    
+    this.emit('focusModeChange', { enabled: enabled });
+  }
+
+  /**
+   * Change what is highlighted at runtime
+   * @public
+   * @param {string} unit - 'sentence', 'paragraph' (block elements), 'line' (visual lines) or 'word'
+   * @returns {void}
+   * @throws {Error} If the unit is unknown
+   * @example
+   * highlighter.setUnit('paragraph');
+   */
+  setUnit(unit) {
+    this.setOptions({ unit: unit });
+  }
+
+  /**
+   * Toggle focus mode on/off
+   * @public
+   * @returns {boolean} The new focus mode state (true = enabled, false = disabled)
+   * @example
+   * highlighter.toggleFocusMode(); // Toggle between enabled/disabled
+   */
+  toggleFocusMode() {
+    this.setFocusMode(!this.focusModeEnabled);
+  }
+
+  /**
+   * Get array of all detected sentences
+   * @public
+   * @returns {Sentence[]} Array of sentence objects with id, text, start, end, isHeading properties
+   * @example
+   * const sentences = highlighter.getSentences();
+   * console.log(`Total sentences: ${sentences.length}`);
+   * sentences.forEach((s, i) => {
+   *   console.log(`Sentence ${i + 1}: "${s.text}"`);
+   * });
+   */
+  getSentences() {
+    return Array.from(this.sentenceMap.values()).map(s => this.copySentence(s));
+  }
+
+  /**
+   * Get the currently active sentence (the one containing the caret)
+   * @public
+   * @returns {Sentence|null} The active sentence object, or null if no sentence is active
+   * @example
+   * const active = highlighter.getActiveSentence();
+   * if (active) {
+   *   console.log(`Active: "${active.text}"`);
+   * }
+   */
+  getActiveSentence() {
+    if (!this.activeSentenceId) return null;
+    const sentence = this.sentenceMap.get(this.activeSentenceId);
+    return sentence ? this.copySentence(sentence) : null;
+  }
+
+  /**
+   * Get the index of the currently active sentence
+   * @public
+   * @returns {number} Zero-based index of the active sentence, or -1 if no sentence is active
+   * @example
+   * const index = highlighter.getActiveSentenceIndex();
+   * const total = highlighter.getSentences().length;
+   * console.log(`Active: sentence ${index + 1} of ${total}`);
+   */
+  getActiveSentenceIndex() {
+    if (!this.activeSentenceId) return -1;
+    const ids = Array.from(this.sentenceMap.keys());
+    return ids.indexOf(this.activeSentenceId);
+  }
+
+  /**
+   * Serialize the sentence model
+   * The result is plain data, so it can go through JSON.stringify() and be
+   * restored with loadJSON().
+   * @public
+   * @returns {{text: string, unit: string, sentences: Array<Sentence & {blockIndex: number}>, activeIndex: number, caret: number}} Text, sentences with their block, and the active position
+   * @example
+   * localStorage.setItem('draft', JSON.stringify(highlighter));
+   */
+  toJSON() {
+    return {
+      text: this.getPlainText(),
+      unit: this.options.unit,
+      sentences: Array.from(this.sentenceMap.values()).map(sentence => ({
+        ...this.copySentence(sentence),
+        blockIndex: sentence.blockIndex
+      })),
+      activeIndex: this.getActiveSentenceIndex(),
+      caret: this.getCaretOffset()
+    };
+  }
+
+  /**
+   * Replace the content with a model saved by toJSON() and restore the active sentence
+   * Contenteditable editors get one paragraph (or heading) per block; inline
+   * markup is not part of the model. The change is recorded as one undo step
+   * and announced with an `input` event. Sentence IDs are derived from the
+   * text, so on a new instance they match the saved ones.
+   * @public
+   * @param {{text: string, sentences: Array<Sentence & {blockIndex: number}>, activeIndex: (number|undefined), caret: (number|undefined)}} data - Object returned by toJSON()
+   * @returns {void}
+   * @throws {Error} If data has no text or sentences
+   * @example
+   * highlighter.loadJSON(JSON.parse(localStorage.getItem('draft')));
+   */
+  loadJSON(data) {
+    if (!data || typeof data.text !== 'string' || !Array.isArray(data.sentences)) {
+      throw new Error('SentenceHighlighter: loadJSON() expects an object returned by toJSON()');
+    }
+    
+    if (this.managesHistory()) {
+      this.pushHistoryEntry(this.undoStack, this.createHistoryEntry());
+      this.redoStack = [];
+      this.lastHistoryInput = null;
+    }
+    
+    if (this.isFormControl) {
+      this.editor.value = data.text;
+    } else {
+      this.withoutObserving(() => {
+        this.editor.innerHTML = this.getMarkupFromJSON(data);
+      });
+    }
+    
+    // The editor's elements were replaced, so skip the incremental diff
+    clearTimeout(this.updateTimer);
+    this.sentenceElements.clear();
+    this.lastContentHash = null;
+    this.scanAndHighlight();
+    
+    // Restore the active position: the caret if the user is in the editor, otherwise just the highlight
+    const sentence = this.resolveSentence(data.activeIndex >= 0 ? data.activeIndex : 0);
+    if (this.hasFocus()) {
+      const caret = typeof data.caret === 'number' ? data.caret : (sentence ? sentence.start : 0);
+      this.setCaretOffset(Math.min(caret, this.getPlainText().length));
+      this.updateActiveSentence();
+    } else if (sentence && sentence.id !== this.activeSentenceId) {
+      const previous = this.getActiveSentence();
+      this.activateSentence(sentence.id);
+      this.notifyActiveChange(previous);
+    }
+    
+    this.isApplyingEdit = true;
+    try {
+      this.editor.dispatchEvent(new this.window.InputEvent('input', { bubbles: true, inputType: 'insertReplacementText' }));
+    } finally {
+      this.isApplyingEdit = false;
+    }
+  }
+
+  /**
+   * Build contenteditable markup for a saved model, one element per block
+   * @private
+   * @param {{text: string, sentences: Array<Sentence & {blockIndex: number}>}} data - Saved model
+   * @returns {string} HTML
+   */
+  getMarkupFromJSON(data) {
+    const { paragraphTag, headingTag } = this.getBlockTagNames();
+    const blocks = this.groupSentencesByBlock(data.sentences);
+    
+    if (blocks.length === 0) {
+      return data.text.trim() ? `<${paragraphTag}>${this.escapeMarkup(data.text)}</${paragraphTag}>` : '';
+    }
+    
+    return blocks.map(block => {
+      const tag = block.isHeading ? headingTag : paragraphTag;
+      const first = block.sentences[0];
+      const last = block.sentences[block.sentences.length - 1];
+      return `<${tag}>${this.escapeMarkup(data.text.slice(first.start, last.end))}</${tag}>`;
+    }).join('');
+  }
+
+  /**
+   * Get the tag names used to recreate blocks the editor's markup no longer has
+   * @private
+   * @returns {{paragraphTag: string, headingTag: string}} Tag names from `blockTags` and `headingTags`
+   */
+  getBlockTagNames() {
+    return {
+      paragraphTag: this.options.blockTags.includes('p') ? 'p' : (this.options.blockTags[0] || 'div'),
+      headingTag: this.options.headingTags[0] || 'h2'
+    };
+  }
+
+  /**
+   * Group consecutive sentences of the same block (paragraph, heading, textarea line)
+   * @private
+   * @param {Array<Sentence & {blockIndex: number}>} sentences - Sentences in document order
+   * @returns {Array<{isHeading: boolean, sentences: Sentence[]}>} One entry per block
+   */
+  groupSentencesByBlock(sentences) {
+    const blocks = [];
+    let blockIndex = null;
+    
+    sentences.forEach(sentence => {
+      if (blocks.length === 0 || sentence.blockIndex !== blockIndex) {
+        blocks.push({ isHeading: !!sentence.isHeading, sentences: [] });
+        blockIndex = sentence.blockIndex;
+      }
+      blocks[blocks.length - 1].sentences.push(sentence);
+    });
+    return blocks;
+  }
+
+  /**
+   * Export the sentences as text, Markdown, HTML or SSML
+   * Text and Markdown put one sentence per line with a blank line between
+   * paragraphs; HTML wraps each sentence in a span and SSML in an `<s>` element.
+   * @public
+   * @param {string} format - 'text', 'markdown', 'html' or 'ssml'
+   * @returns {string} The exported document
+   * @throws {Error} If the format is unknown
+   * @example
+   * speechService.speak(highlighter.exportAs('ssml'));
+   */
+  exportAs(format) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`SentenceHighlighter: Unknown export format "${format}"`);
+    }
+    
+    const blocks = this.groupSentencesByBlock(Array.from(this.sentenceMap.values()));
+    const clean = sentence => sentence.text.replace(/\s+/g, ' ').trim();
+    
+    switch (format) {
+      case 'markdown':
+        return blocks.map(block => block.sentences
+          .map(sentence => (block.isHeading ? '# ' : '') + this.escapeMarkdown(clean(sentence)))
+          .join('\n')
+        ).join('\n\n');
+    
+      case 'html': {
+        const { sentenceClass, sentenceDataAttribute } = this.options;
+        const headingTag = this.options.headingTags[0] || 'h2';
+        return blocks.map(block => {
+          const tag = block.isHeading ? headingTag : 'p';
+          const spans = block.sentences.map(sentence =>
+            `<span class="${sentenceClass}" ${sentenceDataAttribute}="${sentence.id}">${this.escapeMarkup(clean(sentence))}</span>`
+          );
+          return `<${tag}>\n${spans.join('\n')}\n</${tag}>`;
+        }).join('\n');
+      }
+    
+      case 'ssml': {
+        const paragraphs = blocks.map(block => {
+          const sentences = block.sentences.map(sentence => `<s>${this.escapeMarkup(clean(sentence))}</s>`);
+          return `<p>\n${sentences.join('\n')}\n</p>`;
+        });
+        return `<speak>\n${paragraphs.join('\n')}\n</speak>`;
+      }
+    
+      default:
+        return blocks.map(block => block.sentences.map(clean).join('\n')).join('\n\n');
+    }
+  }
+
+  /**
+   * Escape text for HTML and SSML
+   * @private
+   * @param {string} text - Plain text
+   * @returns {string} Text with &, <, > and quotes escaped
+   */
+  escapeMarkup(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Escape text so Markdown shows it literally
+   * @private
+   * @param {string} text - Sentence text on its own line
+   * @returns {string} Text with inline markers escaped, and block markers at the start of the line
+   */
+  escapeMarkdown(text) {
+    return text
+      .replace(/[\\`*_[\]<]/g, '\\$&')
+      .replace(/^([#>+-])/, '\\$1')
+      .replace(/^(\d+)([.)])/, '$1\\$2');
+  }
+
+  /**
+   * Look up a sentence by index or ID
+   * @private
+   * @param {number|string} indexOrId - Zero-based index or sentence ID
+   * @returns {Sentence|null} The sentence, or null if there is none
+   */
+  resolveSentence(indexOrId) {
+    if (typeof indexOrId === 'number') {
+      return Array.from(this.sentenceMap.values())[indexOrId] || null;
+    }
+    return this.sentenceMap.get(indexOrId) || null;
+  }
+
+  /**
+   * Select part of the editor and make the sentence containing it active
+   * @private
+   * @param {number} start - Start offset of the selection
+   * @param {number} end - End offset of the selection
+   * @returns {void}
+   */
+  focusRange(start, end) {
+    this.editor.focus({ preventScroll: true });
+    this.setSelectionOffsets(start, end);
+    
+    // Apply the new active sentence now rather than after the selectionchange throttle
+    clearTimeout(this.updateTimer);
+    this.updateActiveSentence();
+  }
+
+  /**
+   * Move the caret to the start of a sentence and make it active
+   * @public
+   * @param {number|string} indexOrId - Zero-based sentence index or sentence ID
+   * @returns {boolean} true if the sentence exists
+   * @example
+   * highlighter.goToSentence(0); // First sentence
+   * highlighter.goToSentence(sentence.id);
+   */
+  goToSentence(indexOrId) {
+    const sentence = this.resolveSentence(indexOrId);
+    if (!sentence) return false;
+    
+    this.focusRange(sentence.start, sentence.start);
+    return true;
+  }
+
+  /**
+   * Move the caret to the start of the sentence after the active one
+   * @public
+   * @returns {boolean} false if the active sentence is the last one
+   * @example
+   * nextButton.addEventListener('click', () => highlighter.nextSentence());
+   */
+  nextSentence() {
+    return this.goToSentence(this.getActiveSentenceIndex() + 1);
+  }
+
+  /**
+   * Move the caret to the start of the sentence before the active one
+   * @public
+   * @returns {boolean} false if the active sentence is the first one
+   * @example
+   * previousButton.addEventListener('click', () => highlighter.previousSentence());
+   */
+  previousSentence() {
+    const index = this.getActiveSentenceIndex();
+    return index > 0 && this.goToSentence(index - 1);
+  }
+
+  /**
+   * Select the text of a sentence (without trailing whitespace)
+   * @public
+   * @param {number|string} indexOrId - Zero-based sentence index or sentence ID
+   * @returns {boolean} true if the sentence exists
+   * @example
+   * highlighter.selectSentence(2);
+   * document.execCommand('copy');
+   */
+  selectSentence(indexOrId) {
+    const sentence = this.resolveSentence(indexOrId);
+    if (!sentence) return false;
+    
+    const end = sentence.start + sentence.text.trimEnd().length;
+    this.focusRange(sentence.start, end);
+    return true;
+  }
+
+  /**
+   * Select the text of the active sentence
+   * @public
+   * @returns {boolean} false if no sentence is active
+   * @example
+   * highlighter.selectActiveSentence();
+   */
+  selectActiveSentence() {
+    return !!this.activeSentenceId && this.selectSentence(this.activeSentenceId);
+  }
+
+  /**
+   * Replace ranges of the text, then re-detect sentences and notify listeners
+   * 
+   * Edits are given in offsets of the current text and must not overlap.
+   * Contenteditable edits are applied to the text nodes in place, so the
+   * surrounding markup is kept. The change is recorded as one undo step and
+   * announced with an `input` event carrying `inputType`.
+   * @private
+   * @param {Array<{start: number, end: number, text: string, preferPrevious: (boolean|undefined)}>} edits - Ranges to replace; `preferPrevious` attaches an insertion to the text before it
+   * @param {string} inputType - inputType of the dispatched `input` event
+   * @param {number} [caret] - Caret offset after the edit; by default the caret is shifted along with the text
+   * @returns {void}
+   */
+  editText(edits, inputType, caret) {
+    const sorted = edits.slice().sort((a, b) => b.start - a.start);
+    const hadFocus = this.hasFocus();
+    
+    if (caret === undefined) {
+      const caretOffset = this.getCaretOffset();
+      caret = caretOffset;
+      edits.forEach(edit => {
+        if (edit.end <= caretOffset) {
+          caret += edit.text.length - (edit.end - edit.start);
+        } else if (edit.start < caretOffset) {
+          caret += edit.start + edit.text.length - caretOffset;
+        }
+      });
+    }
+    
+    if (this.managesHistory()) {
+      this.pushHistoryEntry(this.undoStack, this.createHistoryEntry());
+      this.redoStack = [];
+      this.lastHistoryInput = null;
+    }
+    
+    if (this.isFormControl) {
+      let value = this.editor.value;
+      sorted.forEach(edit => {
+        value = value.slice(0, edit.start) + edit.text + value.slice(edit.end);
+      });
+      this.editor.value = value;
+    } else {
+      this.withoutObserving(() => {
+        sorted.forEach(edit => {
+          const textNodes = this.getTextNodes();
+          const from = this.findTextPosition(textNodes, edit.start, !!edit.preferPrevious);
+          const to = edit.start === edit.end ? from : this.findTextPosition(textNodes, edit.end, true);
+          if (!from || !to) return;
+    
+          const range = this.document.createRange();
+          range.setStart(from.node, from.offset);
+          range.setEnd(to.node, to.offset);
+          range.deleteContents();
+          from.node.insertData(from.offset, edit.text);
+        });
+      });
+    }
+    
+    if (hadFocus) {
+      this.setSelectionOffsets(caret, caret);
+    }
+    
+    clearTimeout(this.updateTimer);
+    this.scanAndHighlight();
+    
+    this.isApplyingEdit = true;
+    try {
+      this.editor.dispatchEvent(new this.window.InputEvent('input', { bubbles: true, inputType: inputType }));
+    } finally {
+      this.isApplyingEdit = false;
+    }
+  }
+
+  /**
+   * Get what separates two sentences: nothing after a full-width terminator, otherwise a space
+   * @private
+   * @param {string} text - Text of the sentence before the separator
+   * @returns {string} '' or ' '
+   */
+  getSentenceSeparator(text) {
+    const trimmed = text.trimEnd();
+    return FULLWIDTH_TERMINATORS.includes(trimmed[trimmed.length - 1]) ? '' : ' ';
+  }
+
+  /**
+   * Get the range a sentence occupies together with the whitespace that separates it
+   * Trailing whitespace is included; a sentence without any (the last one
+   * in its block) takes the spaces before it instead.
+   * @private
+   * @param {Sentence} sentence - Sentence to remove
+   * @returns {{start: number, end: number}} Offsets of the range
+   */
+  getSentenceRemovalRange(sentence) {
+    let start = sentence.start;
+    if (sentence.text.trimEnd().length === sentence.text.length) {
+      const text = this.getPlainText();
+      while (start > 0 && (text[start - 1] === ' ' || text[start - 1] === '\t')) {
+        start--;
+      }
+    }
+    return { start: start, end: sentence.end };
+  }
+
+  /**
+   * Get the length of a sentence's text without its terminator
+   * Closing quotes and brackets after the terminator are not part of it.
+   * @private
+   * @param {string} text - Sentence text without trailing whitespace
+   * @returns {{core: number, closing: number}} End of the text before the terminator, and start of the closing punctuation
+   */
+  findSentenceTerminator(text) {
+    let closing = text.length;
+    while (closing > 0 && CLOSING_PUNCTUATION.includes(text[closing - 1])) closing--;
+    
+    let core = closing;
+    let ending;
+    while ((ending = this.options.sentenceEndings.find(e => e && text.slice(0, core).endsWith(e)))) {
+      core -= ending.length;
+    }
+    return { core: core, closing: closing };
+  }
+
+  /**
+   * Replace the text of a sentence, keeping the whitespace after it
+   * @public
+   * @param {string} id - Sentence ID
+   * @param {string} text - New sentence text
+   * @returns {boolean} true if the sentence exists
+   * @example
+   * highlighter.replaceSentence(sentence.id, 'A clearer way to say it.');
+   */
+  replaceSentence(id, text) {
+    const sentence = this.resolveSentence(id);
+    if (!sentence) return false;
+    
+    const end = sentence.start + sentence.text.trimEnd().length;
+    this.editText([{ start: sentence.start, end: end, text: text }], 'insertReplacementText');
+    return true;
+  }
+
+  /**
+   * Insert a new sentence after an existing one, in the same block
+   * @public
+   * @param {string} id - ID of the sentence to insert after
+   * @param {string} text - Text of the new sentence, including its terminator
+   * @returns {boolean} true if the sentence exists
+   * @example
+   * highlighter.insertSentenceAfter(sentence.id, 'Here is an example.');
+   */
+  insertSentenceAfter(id, text) {
+    const sentence = this.resolveSentence(id);
+    if (!sentence) return false;
+    
+    const end = sentence.start + sentence.text.trimEnd().length;
+    const separator = this.getSentenceSeparator(sentence.text);
+    this.editText([{ start: end, end: end, text: separator + text, preferPrevious: true }], 'insertText');
+    return true;
+  }
+
+  /**
+   * Delete a sentence together with the whitespace that separates it
+   * @public
+   * @param {string} id - Sentence ID
+   * @returns {boolean} true if the sentence existed
+   * @example
+   * highlighter.deleteSentence(highlighter.getActiveSentence().id);
+   */
+  deleteSentence(id) {
+    const sentence = this.resolveSentence(id);
+    if (!sentence) return false;
+    
+    const range = this.getSentenceRemovalRange(sentence);
+    this.editText([{ start: range.start, end: range.end, text: '' }], 'deleteContent');
+    return true;
+  }
+
+  /**
+   * Move a sentence so that it ends up at the given index
+   * A caret inside the sentence moves with it.
+   * @public
+   * @param {string} id - Sentence ID
+   * @param {number} toIndex - Zero-based index of the sentence after the move
+   * @returns {boolean} true if the sentence exists
+   * @example
+   * highlighter.moveSentence(sentence.id, 0); // Make it the first sentence
+   */
+  moveSentence(id, toIndex) {
+    const sentence = this.resolveSentence(id);
+    if (!sentence) return false;
+    
+    const sentences = Array.from(this.sentenceMap.values());
+    const others = sentences.filter(other => other.id !== sentence.id);
+    const target = Math.max(0, Math.min(toIndex, others.length));
+    if (target === sentences.indexOf(sentence)) return true;
+    
+    const body = sentence.text.trimEnd();
+    const removal = this.getSentenceRemovalRange(sentence);
+    const removedLength = removal.end - removal.start;
+    let insertion;
+    let bodyStart;
+    
+    if (target < others.length) {
+      // Before the sentence that will follow it
+      const at = others[target].start;
+      const separator = sentence.text.slice(body.length) || this.getSentenceSeparator(body);
+      insertion = { start: at, end: at, text: body + separator };
+      bodyStart = at - (removal.start < at ? removedLength : 0);
+    } else {
+      // After the last sentence
+      const last = others[others.length - 1];
+      const at = last.start + last.text.trimEnd().length;
+      const separator = this.getSentenceSeparator(last.text);
+      insertion = { start: at, end: at, text: separator + body, preferPrevious: true };
+      bodyStart = at + separator.length - (removal.start < at ? removedLength : 0);
+    }
+    
+    const caretOffset = this.getCaretOffset();
+    const caret = caretOffset >= sentence.start && caretOffset <= sentence.start + body.length ?
+      bodyStart + caretOffset - sentence.start :
+      undefined;
+    
+    this.editText([{ start: removal.start, end: removal.end, text: '' }, insertion], 'insertFromDrop', caret);
+    return true;
+  }
+
+  /**
+   * Merge two adjacent sentences into one by removing the terminator between them
+   * @public
+   * @param {string} idA - ID of the first sentence
+   * @param {string} idB - ID of the sentence directly after (or before) it
+   * @returns {boolean} true if both sentences exist
+   * @throws {Error} If the sentences are not adjacent or belong to different blocks
+   * @example
+   * // "I came home. I slept." -> "I came home I slept."
+   * highlighter.mergeSentences(sentences[0].id, sentences[1].id);
+   */
+  mergeSentences(idA, idB) {
+    let first = this.resolveSentence(idA);
+    let second = this.resolveSentence(idB);
+    if (!first || !second) return false;
+    
+    const sentences = Array.from(this.sentenceMap.values());
+    if (sentences.indexOf(second) === sentences.indexOf(first) - 1) {
+      [first, second] = [second, first];
+    }
+    if (sentences.indexOf(second) !== sentences.indexOf(first) + 1) {
+      throw new Error('SentenceHighlighter: Only adjacent sentences can be merged');
+    }
+    const block = this.getTextBlocks().find(b => first.start >= b.start && first.start < b.end);
+    if (!block || second.start >= block.end) {
+      throw new Error('SentenceHighlighter: Sentences in different blocks cannot be merged');
+    }
+    
+    // Drop the terminator but keep closing quotes and brackets
+    const body = first.text.trimEnd();
+    const { core, closing } = this.findSentenceTerminator(body);
+    
+    this.editText([{
+      start: first.start + core,
+      end: second.start,
+      text: body.slice(closing) + this.getSentenceSeparator(body),
+      preferPrevious: true
+    }], 'deleteContent');
+    return true;
+  }
+
+  /**
+   * Split a sentence in two, adding a terminator to the first part if it has none
+   * and capitalizing the second
+   * @public
+   * @param {string} id - Sentence ID
+   * @param {number} offset - Offset within the sentence text where the second sentence starts
+   * @returns {boolean} true if the sentence exists and the offset falls inside its text
+   * @example
+   * // "I came home and I slept." -> "I came home. And I slept."
+   * highlighter.splitSentence(sentence.id, 12);
+   */
+  splitSentence(id, offset) {
+    const sentence = this.resolveSentence(id);
+    if (!sentence) return false;
+    
+    const body = sentence.text.trimEnd();
+    const head = body.slice(0, offset).trimEnd();
+    const tail = body.slice(offset).trimStart();
+    if (!head || !tail) return false;
+    
+    const { core, closing } = this.findSentenceTerminator(head);
+    const terminator = core < closing ? '' : this.options.sentenceEndings[0];
+    
+    // The second sentence starts with a capital letter, where the script has them
+    const first = String.fromCodePoint(tail.codePointAt(0));
+    
+    this.editText([{
+      start: sentence.start + head.length,
+      end: sentence.start + body.length - tail.length + first.length,
+      text: terminator + this.getSentenceSeparator(head + terminator) + first.toUpperCase(),
+      preferPrevious: true
+    }], 'insertText');
+    return true;
+  }
+
+  /**
+   * Copy a sentence from the model for the public API
+   * @private
+   * @param {Sentence} sentence - Sentence from the model
+   * @returns {Sentence} A copy callers are free to modify
+   */
+  copySentence(sentence) {
+    return {
+      id: sentence.id,
+      text: sentence.text,
+      start: sentence.start,
+      end: sentence.end,
+      isHeading: sentence.isHeading
+    };
+  }
+
+  /**
+   * Check that an event name is one of EVENTS
+   * @private
+   * @param {string} event - Event name
+   * @returns {void}
+   * @throws {Error} If the event is unknown
+   */
+  validateEvent(event) {
+    if (!EVENTS.includes(event)) {
+      throw new Error(`SentenceHighlighter: Unknown event "${event}"`);
+    }
+  }
+
+  /**
+   * Call the handlers of an event and dispatch it on the editor as a CustomEvent
+   * @private
+   * @param {string} event - Event name
+   * @param {Object} detail - Event payload, passed to handlers and as `CustomEvent.detail`
+   * @returns {void}
+   */
+  emit(event, detail) {
+    const handlers = this.listeners.get(event);
+    if (handlers) {
+      // Copy, so handlers can remove themselves (once) while iterating
+      handlers.slice().forEach(handler => handler(detail));
+    }
+    
+    this.editor.dispatchEvent(new this.window.CustomEvent(`sentence-highlighter:${event}`, {
+      bubbles: true,
+      detail: detail
+    }));
+  }
+
+  /**
+   * Register a handler for a highlighter event
+   * 
+   * Events: `ready`, `sentencesChanged` ({ sentences, diff }), `activeChange`
+   * ({ previous, sentence, index }), `rebuild` ({ sentences }),
+   * `focusModeChange` ({ enabled }), `scroll` ({ sentence }) and `destroy`.
+   * Each is also dispatched on the editor as a bubbling
+   * `sentence-highlighter:<event>` CustomEvent.
+   * @public
+   * @param {string} event - Event name
+   * @param {Function} handler - Called with the event payload
+   * @returns {SentenceHighlighter} This instance, for chaining
+   * @throws {Error} If the event is unknown
+   * @example
+   * highlighter.on('activeChange', ({ previous, sentence }) => {
+   *   console.log(`Moved from "${previous?.text}" to "${sentence?.text}"`);
+   * });
+   */
+  on(event, handler) {
+    this.validateEvent(event);
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(handler);
+    return this;
+  }
+
+  /**
+   * Remove a handler, or every handler of an event if none is given
+   * @public
+   * @param {string} event - Event name
+   * @param {Function} [handler] - Handler passed to on() or once()
+   * @returns {SentenceHighlighter} This instance, for chaining
+   * @throws {Error} If the event is unknown
+   * @example
+   * highlighter.off('activeChange', onActiveChange);
+   */
+  off(event, handler) {
+    this.validateEvent(event);
+    const handlers = this.listeners.get(event);
+    if (!handlers) return this;
+    
+    if (!handler) {
+      this.listeners.delete(event);
+      return this;
+    }
+    
+    const index = handlers.findIndex(h => h === handler || h.original === handler);
+    if (index >= 0) {
+      handlers.splice(index, 1);
+    }
+    return this;
+  }
+
+  /**
+   * Register a handler that is removed after its first call
+   * @public
+   * @param {string} event - Event name
+   * @param {Function} handler - Called with the event payload
+   * @returns {SentenceHighlighter} This instance, for chaining
+   * @throws {Error} If the event is unknown
+   * @example
+   * highlighter.once('ready', ({ sentences }) => {
+   *   console.log(`${sentences.length} sentences`);
+   * });
+   */
+  once(event, handler) {
+    const wrapper = (detail) => {
+      this.off(event, wrapper);
+      handler(detail);
+    };
+    wrapper.original = handler;
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Manually trigger a sentence detection and highlighting update
+   * Useful when content is modified programmatically
+   * @public
+   * @returns {void}
+   * @example
+   * // After programmatically changing editor content
+   * editor.textContent = "New content. With multiple sentences!";
+   * highlighter.update(); // Re-detect and highlight sentences
+   */
+  update() {
+    this.scanAndHighlight();
+  }
+
+  /**
+   * Undo the last edit, restoring the text and caret from before it
+   * 
+   * Rebuilding the sentence spans clears the browser's own undo stack, so
+   * contenteditable editors using the 'spans' renderer keep their own
+   * history. Ctrl/Cmd+Z and the browser's Undo command are routed here.
+   * @public
+   * @returns {boolean} true if an edit was undone
+   * @example
+   * undoButton.addEventListener('click', () => highlighter.undo());
+   */
+  undo() {
+    if (!this.canUndo()) return false;
+    
+    this.pushHistoryEntry(this.redoStack, this.createHistoryEntry());
+    this.restoreHistoryEntry(this.undoStack.pop());
+    return true;
+  }
+
+  /**
+   * Redo the last undone edit
+   * @public
+   * @returns {boolean} true if an edit was redone
+   * @example
+   * redoButton.addEventListener('click', () => highlighter.redo());
+   */
+  redo() {
+    if (!this.canRedo()) return false;
+    
+    this.pushHistoryEntry(this.undoStack, this.createHistoryEntry());
+    this.restoreHistoryEntry(this.redoStack.pop());
+    return true;
+  }
+
+  /**
+   * Check whether there is an edit to undo
+   * Always false for textareas, inputs and the 'highlight-api' renderer,
+   * which keep the browser's native undo.
+   * @public
+   * @returns {boolean} true if undo() would change the content
+   * @example
+   * undoButton.disabled = !highlighter.canUndo();
+   */
+  canUndo() {
+    return this.managesHistory() && this.undoStack.length > 0;
+  }
+
+  /**
+   * Check whether there is an undone edit to redo
+   * @public
+   * @returns {boolean} true if redo() would change the content
+   * @example
+   * redoButton.disabled = !highlighter.canRedo();
+   */
+  canRedo() {
+    return this.managesHistory() && this.redoStack.length > 0;
+  }
+
+  /**
+   * Change options without creating a new instance
+   * 
+   * Opacity, scrolling, timing and callback options apply immediately.
+   * Changing sentence endings, the language, segmenter or unit re-detects
+   * the sentences. Changing classes, data attributes, the renderer or the
+   * listeners an option controls detaches and reattaches the highlighter,
+   * keeping the caret and the undo history.
+   * @public
+   * @param {SentenceHighlighterOptions} options - Options to change; the rest keep their values
+   * @returns {void}
+   * @throws {Error} If the segmenter, renderer, dimming, unit or scrollMode option is unknown
+   * @example
+   * highlighter.setOptions({ focusModeDimOpacity: 0.3, sentenceEndings: ['.', '!', '?', ';'] });
+   */
+  setOptions(options) {
+    const userOptions = { ...this.userOptions, ...options };
+    const next = this.normalizeOptions(userOptions);
+    this.validateOptions(next);
+    
+    const previous = this.options;
+    const isSame = (a, b) => a === b ||
+      (Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((value, i) => value === b[i]));
+    const changed = Object.keys(next).filter(key => !isSame(next[key], previous[key]));
+    
+    this.userOptions = userOptions;
+    if (changed.length === 0) return;
+    
+    if (!this.isInitialized) {
+      // Applied by reattach()
+      this.options = next;
+      this.focusModeEnabled = next.enableFocusMode;
+      return;
+    }
+    
+    if (changed.some(key => REBUILD_OPTIONS.includes(key))) {
+      // detach() keeps the caret, and the first scan after reattach() restores it again.
+      // It also clears the history, since its snapshots hold the current spans.
+      const { undoStack, redoStack } = this.getPortableHistory();
+      this.detach();
+      this.options = next;
+      this.reattach();
+      this.undoStack = undoStack;
+      this.redoStack = redoStack;
+    } else {
+      this.options = next;
+    }
+    
+    if (changed.includes('enableFocusMode')) {
+      this.setFocusMode(next.enableFocusMode);
+    }
+    
+    if (changed.includes('worker') && !next.worker) {
+      // Finish a pending segmentation on the main thread
+      if (this.pendingSegmentation) this.scanAndHighlight();
+      this.terminateWorker();
+    }
+    
+    // The dim opacity is a fallback in the injected rules
+    this.writeStyles();
+    
+    if (changed.some(key => DETECTION_OPTIONS.includes(key))) {
+      this.updateLineObserver();
+      if (changed.includes('unit')) {
+        // Every span changes, so skip the incremental diff
+        this.sentenceElements.clear();
+      }
+      this.lastContentHash = null;
+      this.scanAndHighlight();
+    } else if (this.usesRangeRenderer()) {
+      this.paintRangeHighlights();
+    } else {
+      this.applyDimming();
+    }
+  }
+
+  /**
+   * Stop tracking edits and the caret, leaving the current highlighting in place
+   * Useful around bulk programmatic changes; resume() catches up with them.
+   * @public
+   * @returns {void}
+   * @example
+   * highlighter.pause();
+   * editor.innerHTML = loadDraft();
+   * highlighter.resume();
+   */
+  pause() {
+    if (this.isPaused) return;
+    
+    this.isPaused = true;
+    clearTimeout(this.updateTimer);
+    this.disconnectMutations();
+  }
+
+  /**
+   * Resume tracking after pause() and re-scan the editor
+   * @public
+   * @returns {void}
+   */
+  resume() {
+    if (!this.isPaused) return;
+    
+    this.isPaused = false;
+    if (!this.isInitialized) return;
+    
+    // Changes made while paused went unobserved
+    if (this.getContentHash() !== this.lastContentHash) {
+      this.hasEdits = true;
+    }
+    this.observeMutations();
+    this.scanAndHighlight();
+  }
+
+  /**
+   * Remove the sentence spans and the flattened container
+   * Only the library's own elements are removed, so edits to the content
+   * and its markup are kept. A flattened editor that was never edited gets
+   * its original markup back, since flattening dropped it.
+   * The range renderer and the overlay never change the editor's markup.
+   * @private
+   * @returns {void}
+   */
+  restoreMarkup() {
+    if (this.isFormControl || this.usesRangeRenderer() || this.originalHTML === null) return;
+    
+    const caret = this.hasFocus() ? this.getCaretOffset() : null;
+    
+    if (!this.options.preserveFormatting && !this.hasEdits && this.getPlainText() === this.originalText) {
+      this.editor.innerHTML = this.originalHTML;
+    } else {
+      this.unwrapSentenceMarkup(this.editor);
+    }
+    
+    this.originalHTML = null;
+    this.originalText = null;
+    
+    if (caret !== null) {
+      this.setCaretOffset(caret);
+    }
+  }
+
+  /**
+   * Remove the library's sentence spans, flattened container and classes from markup
+   * Flattening dropped the block elements, so when the container holds more
+   * than one block, each block gets a paragraph (or heading) element back.
+   * @private
+   * @param {HTMLElement|DocumentFragment} root - The editor, or a fragment holding a copy of its markup
+   * @returns {void}
+   */
+  unwrapSentenceMarkup(root) {
+    const container = root.firstChild;
+    const isFlattened = !this.options.preserveFormatting && root.childNodes.length === 1 &&
+      container.nodeType === Node.ELEMENT_NODE && container.classList.contains(this.options.containerClass);
+    
+    if (isFlattened) {
+      const blockOf = node => node.nodeType === Node.ELEMENT_NODE ? node.getAttribute('data-sentence-block') : null;
+      const nodes = Array.from(container.childNodes);
+      
+      if (new Set(nodes.map(blockOf).filter(index => index !== null)).size > 1) {
+        const { paragraphTag, headingTag } = this.getBlockTagNames();
+        let block = null;
+        let previous = null;
+        nodes.forEach(node => {
+          const index = blockOf(node);
+          if (index === null) {
+            previous = null;
+            return;
+          }
+          if (index !== previous) {
+            const isHeading = node.classList.contains('sentence-highlighter-heading');
+            block = this.document.createElement(isHeading ? headingTag : paragraphTag);
+            container.insertBefore(block, node);
+            previous = index;
+          }
+          block.appendChild(node);
+        });
+      }
+    }
+    
+    root.querySelectorAll(`[${this.options.sentenceDataAttribute}]`).forEach(span => {
+      span.replaceWith(...span.childNodes);
+    });
+    root.querySelectorAll('.sentence-highlighter-virtual').forEach(element => {
+      element.classList.remove('sentence-highlighter-virtual');
+      if (element.classList.length === 0) {
+        element.removeAttribute('class');
+      }
+    });
+    
+    if (isFlattened) {
+      container.replaceWith(...container.childNodes);
+    }
+    root.normalize();
+  }
+
+  /**
+   * Copy the undo and redo stacks without the library's markup
+   * The snapshots hold the current spans and classes, so stripping them lets
+   * the history be restored after an option change rebuilds the highlighter.
+   * @private
+   * @returns {{undoStack: Array<{html: string, caret: number}>, redoStack: Array<{html: string, caret: number}>}} Stripped copies of both stacks
+   */
+  getPortableHistory() {
+    const strip = entry => {
+      // A template parses the markup without loading images or running handlers
+      const template = this.document.createElement('template');
+      template.innerHTML = entry.html;
+      this.unwrapSentenceMarkup(template.content);
+      return { html: template.innerHTML, caret: entry.caret };
+    };
+    return { undoStack: this.undoStack.map(strip), redoStack: this.redoStack.map(strip) };
+  }
+
+  /**
+   * Detach from the editor: remove every listener, observer, style and span,
+   * and restore the editor's markup
+   * Options and handlers registered with on() are kept for reattach().
+   * @public
+   * @returns {void}
+   * @example
+   * highlighter.detach();
+   * const html = editor.innerHTML; // The editor's own markup
+   * highlighter.reattach();
+   */
+  detach() {
+    if (!this.isInitialized) return;
+    
+    clearTimeout(this.updateTimer);
+    clearTimeout(this.readyTimer);
+    this.readyTimer = null;
+    this.detachEvents();
+    this.terminateWorker();
+    
+    // Remove classes (the overlay goes with its own)
+    const root = this.getHighlightRoot();
+    if (this.addedContainerClass) {
+      root.classList.remove(this.options.containerClass);
+    }
+    root.classList.remove('sentence-highlighter-focus-off', 'sentence-highlighter-idle');
+    if (root.classList.length === 0) {
+      root.removeAttribute('class');
+    }
+    root.removeAttribute('data-sentence-highlighter');
+    
+    // Remove the textarea/input overlay and any painted highlights
+    this.removeOverlay();
+    this.teardownRangeRenderer();
+    this.teardownVirtualization();
+    this.restoreMarkup();
+    this.removeStyles();
+    
+    // Clear state; history snapshots contain the sentence spans
+    this.sentenceMap.clear();
+    this.sentenceElements.clear();
+    this.activeSentenceId = null;
+    this.lastContentHash = null;
+    this.isIdle = false;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.lastHistoryInput = null;
+    
+    this.isInitialized = false;
+  }
+
+  /**
+   * Attach to the editor again after detach(), with the current options
+   * Emits `ready` once the sentences have been detected.
+   * @public
+   * @returns {void}
+   */
+  reattach() {
+    this.init();
+  }
+
+  /**
+   * Destroy the highlighter instance and clean up all event listeners and DOM modifications
+   * The editor's markup is restored, as by detach(), and handlers
+   * registered with on() are removed.
+   * @public
+   * @returns {void}
+   * @example
+   * // Clean up when removing the editor from the DOM
+   * highlighter.destroy();
+   * editor.remove();
+   */
+  destroy() {
+    this.emit('destroy', {});
+    this.detach();
+    
+    if (instances.get(this.editor) === this) {
+      instances.delete(this.editor);
+    }
+    this.listeners.clear();
+    this.isPaused = false;
+  }
+}
+
+SentenceHighlighter.SentenceHighlighter = SentenceHighlighter;
+
+export { SentenceHighlighter, segmentSentences };
+export default SentenceHighlighter;